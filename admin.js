@@ -0,0 +1,319 @@
+// Lead pipeline dashboard (admin.html). Staff sign in with their token from
+// STAFF_TOKENS; everything else goes through /api/pipeline.
+import { businessTypeLabels, describeServiceDetails, serviceInterestLabels, supportDaysLabels } from './shared/form-schema.js';
+import { formatMoney } from './shared/estimate.js';
+
+document.addEventListener('DOMContentLoaded', function () {
+    const tokenKey = 'sani-staff-token';
+    let token = sessionStorage.getItem(tokenKey);
+    let board = null; // { me, statuses, owners, leads }
+    let openLead = null;
+
+    const signInSection = document.getElementById('signInSection');
+    const signInForm = document.getElementById('signInForm');
+    const tokenInput = document.getElementById('staffToken');
+    const tokenError = document.getElementById('staffTokenError');
+    const adminUser = document.getElementById('adminUser');
+    const boardSection = document.getElementById('boardSection');
+    const boardElement = document.getElementById('pipelineBoard');
+    const boardStatus = document.getElementById('boardStatus');
+    const ownerFilter = document.getElementById('ownerFilter');
+    const includeAll = document.getElementById('includeAll');
+    const panel = document.getElementById('leadPanel');
+    const panelError = document.getElementById('leadPanelError');
+    const statusSelect = document.getElementById('leadStatus');
+    const ownerSelect = document.getElementById('leadOwner');
+    const noteForm = document.getElementById('noteForm');
+    const noteText = document.getElementById('noteText');
+
+    const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    const formatDate = value => (value ? dateFormat.format(new Date(value)) : '');
+
+    class UnauthorizedError extends Error {}
+
+    async function api(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                ...(options.body ? { 'Content-Type': 'application/json' } : {})
+            }
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            throw new UnauthorizedError(result.error || 'Unauthorized');
+        }
+        if (!response.ok) {
+            throw new Error(result.error || `Request failed with status ${response.status}`);
+        }
+        return result;
+    }
+
+    function statusLabel(value) {
+        return board.statuses.find(status => status.value === value)?.label || value;
+    }
+
+    // Small helper for building markup without innerHTML, so lead data is never parsed as HTML
+    function element(tag, { className, text, attributes } = {}, children = []) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        Object.entries(attributes || {}).forEach(([name, value]) => node.setAttribute(name, value));
+        children.forEach(child => child && node.appendChild(child));
+        return node;
+    }
+
+    // Sign-in
+
+    function showSignIn(message = '') {
+        token = null;
+        sessionStorage.removeItem(tokenKey);
+        board = null;
+        if (panel.open) panel.close();
+        boardSection.hidden = true;
+        adminUser.hidden = true;
+        signInSection.hidden = false;
+        tokenError.textContent = message;
+        tokenInput.setAttribute('aria-invalid', message ? 'true' : 'false');
+        tokenInput.focus();
+    }
+
+    signInForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const value = tokenInput.value.trim();
+        if (!value) {
+            showSignIn('Please enter your access token');
+            return;
+        }
+
+        token = value;
+        if (await loadBoard()) {
+            sessionStorage.setItem(tokenKey, token);
+            signInForm.reset();
+        }
+    });
+
+    document.getElementById('signOut').addEventListener('click', () => showSignIn());
+
+    // Board
+
+    async function loadBoard() {
+        boardStatus.textContent = 'Loading leads...';
+        try {
+            board = await api(`/api/pipeline${includeAll.checked ? '?include=all' : ''}`);
+        } catch (error) {
+            if (error instanceof UnauthorizedError) {
+                showSignIn('That token was not accepted. Please check it and try again.');
+            } else {
+                boardStatus.textContent = error.message;
+                if (!board) showSignIn(error.message);
+            }
+            return false;
+        }
+
+        signInSection.hidden = true;
+        boardSection.hidden = false;
+        adminUser.hidden = false;
+        document.getElementById('adminUserName').textContent = board.me;
+        renderOwnerOptions();
+        renderBoard();
+        boardStatus.textContent = `${board.leads.length} lead${board.leads.length === 1 ? '' : 's'}, updated ${formatDate(new Date())}`;
+        return true;
+    }
+
+    function renderOwnerOptions() {
+        const selected = ownerFilter.value;
+        ownerFilter.querySelectorAll('option[data-owner]').forEach(option => option.remove());
+        board.owners.forEach(owner => {
+            const option = new Option(owner, owner);
+            option.dataset.owner = '';
+            ownerFilter.appendChild(option);
+        });
+        ownerFilter.value = [...ownerFilter.options].some(option => option.value === selected) ? selected : '';
+    }
+
+    function leadCard(lead) {
+        const meta = [serviceInterestLabels[lead.serviceInterest], formatDate(lead.createdAt)].filter(Boolean).join(' · ');
+        const extras = [
+            lead.owner ? `Owner: ${lead.owner}` : 'Unassigned',
+            lead.notes ? `${lead.notes} note${lead.notes === 1 ? '' : 's'}` : '',
+            lead.duplicates ? `${lead.duplicates} duplicate${lead.duplicates === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(' · ');
+
+        const button = element('button', { className: 'pipeline-card', attributes: { type: 'button', 'data-id': lead.id } }, [
+            element('strong', { text: lead.name }),
+            element('span', { className: 'pipeline-card-meta', text: meta }),
+            element('span', { className: 'pipeline-card-meta', text: extras }),
+            lead.consultation
+                ? element('span', { className: 'pipeline-card-tag', text: `Consultation ${formatDate(lead.consultation.start)}` })
+                : null
+        ]);
+        button.addEventListener('click', () => openPanel(lead.id));
+        return element('li', {}, [button]);
+    }
+
+    function renderBoard() {
+        const owner = ownerFilter.value;
+        const leads = board.leads.filter(lead =>
+            !owner || (owner === '-' ? !lead.owner : lead.owner === owner)
+        );
+
+        boardElement.replaceChildren(...board.statuses.map(status => {
+            const inColumn = leads.filter(lead => lead.status === status.value);
+            const headingId = `column-${status.value}`;
+            return element('section', { className: 'pipeline-column', attributes: { 'aria-labelledby': headingId } }, [
+                element('h2', { attributes: { id: headingId } }, [
+                    document.createTextNode(`${status.label} `),
+                    element('span', { className: 'pipeline-count', text: String(inColumn.length) })
+                ]),
+                inColumn.length
+                    ? element('ul', { className: 'pipeline-cards' }, inColumn.map(leadCard))
+                    : element('p', { className: 'pipeline-empty', text: 'No leads' })
+            ]);
+        }));
+    }
+
+    ownerFilter.addEventListener('change', renderBoard);
+    includeAll.addEventListener('change', loadBoard);
+    document.getElementById('refreshBoard').addEventListener('click', loadBoard);
+
+    // Lead panel
+
+    function describeActivity(entry) {
+        switch (entry.type) {
+            case 'created':
+                return 'Request submitted';
+            case 'status':
+                return `${entry.by} moved it from ${statusLabel(entry.from)} to ${statusLabel(entry.to)}`;
+            case 'owner':
+                return entry.to ? `${entry.by} assigned it to ${entry.to}` : `${entry.by} removed ${entry.from} as owner`;
+            case 'note':
+                return `${entry.by} added a note`;
+            default:
+                return entry.type;
+        }
+    }
+
+    function renderPanel() {
+        const lead = openLead;
+        const { pipeline } = lead;
+
+        document.getElementById('leadPanelTitle').textContent = lead.name;
+        document.getElementById('leadPanelReference').textContent = `Ref: ${lead.id} · ${formatDate(lead.createdAt)}`;
+        panelError.textContent = '';
+
+        statusSelect.replaceChildren(...board.statuses.map(status => new Option(status.label, status.value)));
+        statusSelect.value = pipeline.status;
+        ownerSelect.replaceChildren(new Option('Unassigned', ''), ...board.owners.map(owner => new Option(owner, owner)));
+        ownerSelect.value = pipeline.owner || '';
+
+        const rows = [
+            ['Email', element('a', { text: lead.email, attributes: { href: `mailto:${lead.email}` } })],
+            ['Business type', businessTypeLabels[lead.businessType]],
+            ['Service interest', serviceInterestLabels[lead.serviceInterest]],
+            ...describeServiceDetails(lead.serviceInterest, lead.details || {}),
+            ['Consultation', lead.consultation ? formatDate(lead.consultation.start) : 'Not booked'],
+            ['Time zone', lead.timeZone],
+            ['Support days', lead.supportDays && supportDaysLabels[lead.supportDays]],
+            ['Support hours', lead.supportStart ? `${lead.supportStart} - ${lead.supportEnd} (their time)` : ''],
+            ['Message', lead.message],
+            ['Estimate', lead.estimate
+                ? `${formatMoney(lead.estimate.monthlyCost, lead.estimate.currency)}/month, saving ${formatMoney(lead.estimate.monthlySavings, lead.estimate.currency)}`
+                : ''],
+            ['Attachments', (lead.attachments || []).map(file => file.filename).join(', ')],
+            ['Duplicate of', lead.duplicateOf],
+            ['Duplicates', (lead.duplicates || []).join(', ')],
+            ['Spam score', lead.spam?.flagged ? `${lead.spam.score} (flagged)` : '']
+        ].filter(([, value]) => value);
+
+        document.getElementById('leadDetails').replaceChildren(...rows.flatMap(([label, value]) => [
+            element('dt', { text: label }),
+            typeof value === 'string' || typeof value === 'number'
+                ? element('dd', { text: String(value) })
+                : element('dd', {}, [value])
+        ]));
+
+        const notes = [...pipeline.notes].reverse();
+        document.getElementById('leadNotes').replaceChildren(...(notes.length
+            ? notes.map(note => element('li', {}, [
+                element('p', { className: 'lead-note-text', text: note.text }),
+                element('span', { className: 'lead-note-meta', text: `${note.by} · ${formatDate(note.at)}` })
+            ]))
+            : [element('li', { className: 'pipeline-empty', text: 'No notes yet' })]));
+
+        document.getElementById('leadActivity').replaceChildren(...[...pipeline.activity].reverse().map(entry =>
+            element('li', {}, [
+                element('span', { text: describeActivity(entry) }),
+                element('time', { className: 'lead-note-meta', text: formatDate(entry.at), attributes: { datetime: entry.at } })
+            ])
+        ));
+    }
+
+    async function openPanel(id) {
+        try {
+            ({ lead: openLead } = await api(`/api/pipeline?id=${encodeURIComponent(id)}`));
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return showSignIn('Your session has ended. Please sign in again.');
+            boardStatus.textContent = error.message;
+            return;
+        }
+        renderPanel();
+        if (!panel.open) panel.showModal();
+    }
+
+    async function updateLead(changes) {
+        panelError.textContent = '';
+        try {
+            ({ lead: openLead } = await api(`/api/pipeline?id=${encodeURIComponent(openLead.id)}`, {
+                method: 'PATCH',
+                body: JSON.stringify(changes)
+            }));
+        } catch (error) {
+            if (error instanceof UnauthorizedError) return showSignIn('Your session has ended. Please sign in again.');
+            // Put the controls back to the saved values
+            renderPanel();
+            panelError.textContent = error.message;
+            return false;
+        }
+
+        // Keep the board card in step without reloading everything
+        const index = board.leads.findIndex(lead => lead.id === openLead.id);
+        if (index !== -1) {
+            const { status, owner, notes, updatedAt } = openLead.pipeline;
+            board.leads[index] = { ...board.leads[index], status, owner, notes: notes.length, updatedAt };
+        }
+        renderPanel();
+        renderBoard();
+        return true;
+    }
+
+    statusSelect.addEventListener('change', () => updateLead({ status: statusSelect.value }));
+    ownerSelect.addEventListener('change', () => updateLead({ owner: ownerSelect.value }));
+
+    noteForm.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        const text = noteText.value.trim();
+        if (!text) {
+            panelError.textContent = 'Please write a note first';
+            noteText.focus();
+            return;
+        }
+        if (await updateLead({ note: text })) {
+            noteForm.reset();
+        }
+    });
+
+    document.getElementById('leadPanelClose').addEventListener('click', () => panel.close());
+
+    // Refocus the card the panel was opened from
+    panel.addEventListener('close', () => {
+        boardElement.querySelector(`[data-id="${CSS.escape(openLead?.id || '')}"]`)?.focus();
+    });
+
+    if (token) {
+        loadBoard();
+    } else {
+        showSignIn();
+    }
+});
@@ -0,0 +1,66 @@
+import { config } from '../lib/config.js';
+import { setSecurityHeaders } from '../lib/http.js';
+import { createRequestLogger } from '../lib/logger.js';
+import { hasBearerToken } from '../lib/auth.js';
+import { renderTemplate, templateNames } from '../lib/templates/index.js';
+import { samples } from '../lib/templates/samples.js';
+import { createPreviewLink, verifyPreviewLink } from '../lib/templates/preview-links.js';
+
+const formats = ['html', 'text', 'json'];
+
+// Renders an email template with sample data, without sending anything.
+//   GET /api/email-preview?template=notification&format=html|text|json
+// Authenticate with `Authorization: Bearer <token>`. The token never goes in
+// the URL; to open a preview in a browser, ask for a signed link instead:
+//   GET /api/email-preview?template=...&format=...&link=1 -> { path, expiresAt }
+export default function handler(req, res) {
+  setSecurityHeaders(res);
+  const log = createRequestLogger(req, res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!config.admin.previewToken) {
+    log.error('config_error', { message: 'EMAIL_PREVIEW_TOKEN is not set' });
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const query = req.query || {};
+  const name = query.template || 'notification';
+  const format = query.format || 'html';
+
+  const hasToken = hasBearerToken(req, config.admin.previewToken);
+  const hasLink = verifyPreviewLink({ template: name, format, expires: query.expires, signature: query.signature }, config.admin.previewToken);
+  if (!hasToken && !hasLink) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!templateNames.includes(name)) {
+    return res.status(404).json({ error: `Unknown template. Available: ${templateNames.join(', ')}` });
+  }
+  if (!formats.includes(format)) {
+    return res.status(400).json({ error: 'format must be html, text or json' });
+  }
+
+  // Only the token holder can hand out links
+  if (query.link !== undefined && hasToken) {
+    return res.status(200).json(createPreviewLink({ template: name, format }, config.admin.previewToken));
+  }
+
+  const rendered = renderTemplate(name, samples[name]);
+
+  switch (format) {
+    case 'html':
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(rendered.html);
+    case 'text':
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(200).send(rendered.text);
+    default:
+      return res.status(200).json(rendered);
+  }
+}
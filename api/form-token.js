@@ -0,0 +1,19 @@
+import { setSecurityHeaders } from '../lib/http.js';
+import { createRequestLogger } from '../lib/logger.js';
+import { createFormToken, hasFormTokenSecret } from '../lib/spam/index.js';
+
+// Signed token the contact form sends back with its submission, so the spam
+// scorer can tell we served the page and how long the visitor spent on it.
+//   GET /api/form-token -> { token } (token is null when FORM_TOKEN_SECRET isn't set)
+export default function handler(req, res) {
+  setSecurityHeaders(res);
+  createRequestLogger(req, res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  return res.status(200).json({ token: hasFormTokenSecret() ? createFormToken() : null });
+}
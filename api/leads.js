@@ -0,0 +1,63 @@
+import { config } from '../lib/config.js';
+import { setSecurityHeaders } from '../lib/http.js';
+import { createRequestLogger } from '../lib/logger.js';
+import { hasBearerToken } from '../lib/auth.js';
+import { toCsv } from '../lib/csv.js';
+import { getLeadStore } from '../lib/leads/index.js';
+import { filterLeads, leadCsvColumns, paginate, parseLeadQuery } from '../lib/leads/query.js';
+
+// Read-only leads API for the ops team.
+//   GET /api/leads?serviceInterest=&businessType=&from=&to=&q=&page=&pageSize=
+//   GET /api/leads?format=csv|json  -> download of every matching lead
+export default async function handler(req, res) {
+  setSecurityHeaders(res);
+  const log = createRequestLogger(req, res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!config.admin.apiToken) {
+    log.error('config_error', { message: 'LEADS_API_TOKEN is not set' });
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  if (!hasBearerToken(req, config.admin.apiToken)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { filter, error } = parseLeadQuery(req.query || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const format = req.query.format || '';
+  if (format && format !== 'csv' && format !== 'json') {
+    return res.status(400).json({ error: 'format must be csv or json' });
+  }
+
+  try {
+    const leads = filterLeads(await getLeadStore().list(), filter);
+    const filename = `leads-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(toCsv(leads, leadCsvColumns));
+    }
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.status(200).json({ leads, total: leads.length });
+    }
+
+    const { items, ...pagination } = paginate(leads, filter.page, filter.pageSize);
+    return res.status(200).json({ leads: items, ...pagination });
+  } catch (error) {
+    log.error('store_error', { store: 'leads', error });
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+}
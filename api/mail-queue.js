@@ -0,0 +1,14 @@
+import { getMailQueueStore } from '../lib/mail-queue/index.js';
+import { createQueueListHandler } from '../lib/retry-queue/handlers.js';
+
+// Status of the mail dead-letter queue for the ops team, newest first
+// (message bodies left out). `counts` covers the whole queue, so monitoring
+// can alert on counts.failed.
+//   GET /api/mail-queue?status=retrying|sent|failed&leadId=&limit=
+export default createQueueListHandler({
+  getStore: getMailQueueStore,
+  statuses: ['retrying', 'sent', 'failed'],
+  listName: 'entries',
+  omit: 'message',
+  store: 'mail-queue',
+});
@@ -0,0 +1,96 @@
+import { config } from '../lib/config.js';
+import { setSecurityHeaders } from '../lib/http.js';
+import { createRequestLogger } from '../lib/logger.js';
+import { findStaffMember } from '../lib/auth.js';
+import { getLeadStore } from '../lib/leads/index.js';
+import { applyPipelineChanges, pipelineOf, pipelineStatuses, pipelineSummary } from '../lib/leads/pipeline.js';
+
+// Pipeline API behind the dashboard (admin.html). Staff sign in with their
+// token from STAFF_TOKENS.
+//   GET   /api/pipeline                  -> { me, statuses, owners, leads: [summary] }
+//         ?include=all also lists spam and duplicates
+//   GET   /api/pipeline?id=SS-...        -> { lead } with its pipeline (notes, activity)
+//   PATCH /api/pipeline?id=SS-...        { status?, owner?, note? } -> { lead }
+export default async function handler(req, res) {
+  setSecurityHeaders(res);
+  const log = createRequestLogger(req, res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET' && req.method !== 'PATCH') {
+    res.setHeader('Allow', 'GET, PATCH');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!config.admin.staff.length) {
+    log.error('config_error', { message: 'STAFF_TOKENS is not set' });
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  const member = findStaffMember(req, config.admin.staff);
+  if (!member) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const query = req.query || {};
+  const leadStore = getLeadStore();
+
+  try {
+    if (req.method === 'GET' && !query.id) {
+      const leads = (await leadStore.list())
+        .filter(lead => query.include === 'all' || (!lead.spam?.flagged && !lead.duplicateOf))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(pipelineSummary);
+
+      return res.status(200).json({
+        me: member.name,
+        statuses: pipelineStatuses,
+        owners: config.admin.staff.map(staff => staff.name),
+        leads,
+      });
+    }
+
+    const lead = query.id ? await leadStore.get(query.id) : null;
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ lead: { ...lead, pipeline: pipelineOf(lead) } });
+    }
+
+    // Applied to the lead as stored at write time, inside the store's lock, so
+    // two people updating the same lead at once don't overwrite each other
+    const body = req.body || {};
+    let result = null;
+    let previousActivity = 0;
+    const updated = await leadStore.update(lead.id, current => {
+      previousActivity = pipelineOf(current).activity.length;
+      result = applyPipelineChanges(current, {
+        status: body.status,
+        owner: body.owner,
+        note: body.note,
+      }, { by: member.name, owners: config.admin.staff.map(staff => staff.name) });
+      return result.changed ? { pipeline: result.pipeline } : null;
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    if (result.changed) {
+      log.info('pipeline_updated', {
+        leadId: lead.id,
+        by: member.name,
+        changes: result.pipeline.activity.slice(previousActivity).map(entry => entry.type),
+      });
+    }
+    return res.status(200).json({ lead: { ...updated, pipeline: pipelineOf(updated) } });
+  } catch (error) {
+    log.error('store_error', { store: 'leads', error });
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+}
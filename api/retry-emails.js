@@ -0,0 +1,7 @@
+import { retryQueuedMail } from '../lib/mail-queue/index.js';
+import { createRetryJobHandler } from '../lib/retry-queue/handlers.js';
+
+// Retry job for queued emails whose backoff has elapsed. Meant for a
+// scheduler such as Vercel Cron (which calls it with GET and CRON_SECRET).
+//   GET|POST /api/retry-emails -> { attempted, sent, retrying, failed }
+export default createRetryJobHandler({ run: retryQueuedMail, event: 'mail_retry_run', store: 'mail-queue' });
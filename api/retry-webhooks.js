@@ -0,0 +1,7 @@
+import { retryDueWebhooks } from '../lib/webhooks/index.js';
+import { createRetryJobHandler } from '../lib/retry-queue/handlers.js';
+
+// Retry job for webhook deliveries whose backoff has elapsed. Meant for a
+// scheduler such as Vercel Cron (which calls it with GET and CRON_SECRET).
+//   GET|POST /api/retry-webhooks -> { attempted, delivered, retrying, failed }
+export default createRetryJobHandler({ run: retryDueWebhooks, event: 'webhook_retry_run', store: 'webhooks' });
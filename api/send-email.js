@@ -1,128 +1,71 @@
-import { Resend } from 'resend';
-
-const resend = new Resend(process.env.RESEND_API_KEY);
-
-// Rate limiting storage
-const rateLimitMap = new Map();
-
-// Configuration
-const config = {
-  maxRequests: 5, // 5 requests per window
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  honeyPotField: 'company_name',
-};
-
-// Business type labels
-const businessTypeLabels = {
-  'tech': 'Technology/SaaS',
-  'ecom': 'E-commerce/Retail',
-  'services': 'Professional Services',
-  'other': 'Other/Not listed',
-  '': 'Not specified'
-};
-
-const serviceInterestLabels = {
-  'admin': 'Administrative & Back-Office Support',
-  'customer': 'Customer Support & Lead Setting',
-  'webdev': 'Web Development / Automation',
-  'full': 'Full-Service Dedicated VA'
-};
+import { config } from '../lib/config.js';
+import { setSecurityHeaders } from '../lib/http.js';
+import { applyCors } from '../lib/cors.js';
+import { createRequestLogger } from '../lib/logger.js';
+import { rateLimit, setRateLimitHeaders } from '../lib/rate-limit/index.js';
+import { formFields, formSchema, serviceQuestions, validateFormData, validateServiceDetails } from '../shared/form-schema.js';
+import { computeEstimate, validateEstimateInput } from '../shared/estimate.js';
+import { buildLeadRecord, getLeadStore, parseIdempotencyKey } from '../lib/leads/index.js';
+import { findDuplicateLead } from '../lib/leads/duplicates.js';
+import { renderTemplate } from '../lib/templates/index.js';
+import { hasMailTransport, sendMail } from '../lib/mail/index.js';
+import { queueFailedMail } from '../lib/mail-queue/index.js';
+import { resolveRoute } from '../lib/routing.js';
+import { findSlot, getBookingStore } from '../lib/booking/index.js';
+import { createConsultationInvite } from '../lib/booking/invite.js';
+import { parseAttachments, saveLeadAttachments } from '../lib/attachments.js';
+import { scoreSubmission } from '../lib/spam/index.js';
+import { dispatchLeadWebhooks } from '../lib/webhooks/index.js';
 
 // Utility functions
-function rateLimit(ip) {
-  const now = Date.now();
-  const windowStart = now - config.windowMs;
-  
-  if (!rateLimitMap.has(ip)) {
-    rateLimitMap.set(ip, []);
-  }
-  
-  const requests = rateLimitMap.get(ip);
-  const validRequests = requests.filter(time => time > windowStart);
-  rateLimitMap.set(ip, validRequests);
-  
-  if (validRequests.length >= config.maxRequests) {
-    return false;
-  }
-  
-  validRequests.push(now);
-  return true;
-}
 
-function validateEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email) && email.length <= 254;
-}
-
-function sanitizeInput(input, maxLength = 1000) {
+// Trims input and drops control characters; line breaks survive only in
+// multiline fields. Values are kept raw: each output (email, CSV, logs)
+// encodes them itself.
+function sanitizeInput(input, { multiline = false } = {}) {
   if (typeof input !== 'string') return '';
-  
-  let sanitized = input.trim().slice(0, maxLength);
-  
-  // Basic HTML escaping
-  sanitized = sanitized
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#x27;')
-    .replace(/\//g, '&#x2F;');
-  
-  return sanitized;
+
+  const cleaned = input.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '');
+  return (multiline ? cleaned : cleaned.replace(/[\r\n\t]+/g, ' ')).trim();
 }
 
-function validateFormData(formData) {
-  const { name, email, businessType, serviceInterest, message } = formData;
-  
-  // Check required fields
-  if (!name || !email || !serviceInterest || !message) {
-    return { isValid: false, error: 'All required fields must be filled' };
-  }
-  
-  // Validate lengths
-  if (name.length > 100) {
-    return { isValid: false, error: 'Name is too long' };
-  }
-  
-  if (!validateEmail(email)) {
-    return { isValid: false, error: 'Invalid email address' };
-  }
-  
-  if (message.length > 2000) {
-    return { isValid: false, error: 'Message is too long' };
-  }
-  
-  // Validate select options
-  const validBusinessTypes = ['tech', 'ecom', 'services', 'other', ''];
-  const validServiceInterests = ['admin', 'customer', 'webdev', 'full'];
-  
-  if (!validBusinessTypes.includes(businessType)) {
-    return { isValid: false, error: 'Invalid business type' };
-  }
-  
-  if (!validServiceInterests.includes(serviceInterest)) {
-    return { isValid: false, error: 'Invalid service interest' };
+// Sanitizes the wizard's follow-up answers for the chosen service; unknown keys are dropped
+function sanitizeDetails(serviceInterest, details) {
+  const sanitized = {};
+  if (!details || typeof details !== 'object') return sanitized;
+
+  for (const question of serviceQuestions[serviceInterest] || []) {
+    const value = details[question.name];
+    if (Array.isArray(value)) {
+      sanitized[question.name] = value.slice(0, 20).map(item => sanitizeInput(item));
+    } else if (typeof value === 'number') {
+      sanitized[question.name] = String(value);
+    } else {
+      sanitized[question.name] = sanitizeInput(value);
+    }
   }
-  
-  return { isValid: true };
+  return sanitized;
 }
 
+const successMessage = 'Thank you! Your message has been sent successfully. We will get back to you soon.';
+
+// Idempotency keys being processed right now. Retries racing each other (e.g.
+// the service worker and the page both flushing the offline queue) take turns,
+// so only the first can create the lead and the rest replay it.
+const inFlight = new Map();
+
 // Main API handler
 export default async function handler(req, res) {
   // Set security headers
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('X-Frame-Options', 'DENY');
-  res.setHeader('X-XSS-Protection', '1; mode=block');
+  setSecurityHeaders(res);
+  const log = createRequestLogger(req, res);
   
-  // CORS headers - allow your Vercel domain
-  res.setHeader('Access-Control-Allow-Origin', 'https://sani-solutions.vercel.app');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  // CORS: only allowlisted origins (see config.cors) get the headers
+  const cors = applyCors(req, res, { methods: ['POST', 'OPTIONS'], headers: ['Content-Type', 'Idempotency-Key'] });
 
   // Handle preflight request
   if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+    return res.status(cors.allowed ? 204 : 403).end();
   }
 
   // Only allow POST requests
@@ -130,10 +73,19 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Browsers always say where a POST comes from, so this blocks cross-site posts
+  if (!cors.allowed) {
+    log.warn('origin_rejected', { origin: cors.origin });
+    return res.status(403).json({ error: 'Requests from this origin are not allowed' });
+  }
+
+  let releaseKey = () => {};
+  let releaseSlot = async () => {}; // set once a consultation slot is reserved
+
   try {
-    // Check if Resend API key is available
-    if (!process.env.RESEND_API_KEY) {
-      console.error('RESEND_API_KEY is not set');
+    // Check that at least one mail transport is configured
+    if (!hasMailTransport()) {
+      log.error('config_error', { message: 'No configured mail transport in MAIL_TRANSPORTS', transports: config.mail.transports });
       return res.status(500).json({ error: 'Server configuration error' });
     }
 
@@ -142,121 +94,294 @@ export default async function handler(req, res) {
                     req.headers['x-real-ip'] || 
                     req.socket.remoteAddress;
 
-    console.log(`Request from IP: ${clientIP}`);
+    const body = req.body || {};
+    log.info('received', {
+      ip: clientIP,
+      email: typeof body.email === 'string' ? body.email.trim() : undefined,
+      name: typeof body.name === 'string' ? body.name.trim() : undefined,
+      serviceInterest: body.serviceInterest,
+      businessType: body.businessType,
+      messageLength: typeof body.message === 'string' ? body.message.length : 0,
+      attachments: Array.isArray(body.attachments) ? body.attachments.length : 0,
+      consultation: Boolean(body.consultationSlot),
+    });
 
     // Rate limiting
-    if (!rateLimit(clientIP)) {
-      console.warn(`Rate limit exceeded for IP: ${clientIP}`);
+    const ipLimit = await rateLimit(`ip:${clientIP}`, config.rateLimit.maxRequests);
+    setRateLimitHeaders(res, ipLimit);
+    if (!ipLimit.allowed) {
+      log.warn('rate_limited', { scope: 'ip', ip: clientIP, limit: ipLimit.limit });
       return res.status(429).json({ 
         error: 'Too many requests. Please try again later.' 
       });
     }
 
-    const body = req.body;
-    console.log('Received form data:', { ...body, message: body.message?.substring(0, 100) + '...' });
-
     // Honey pot check
     if (body[config.honeyPotField] && body[config.honeyPotField].trim() !== '') {
-      console.warn(`Honeypot triggered for IP: ${clientIP}`);
+      log.warn('honeypot', { ip: clientIP });
       return res.status(200).json({ message: 'Email sent successfully' });
     }
 
+    // A retried submission gets the original result instead of a second lead
+    const idempotencyKey = parseIdempotencyKey(req.headers['idempotency-key']);
+    if (idempotencyKey) {
+      while (inFlight.has(idempotencyKey)) {
+        await inFlight.get(idempotencyKey);
+      }
+      inFlight.set(idempotencyKey, new Promise(resolve => {
+        releaseKey = () => {
+          inFlight.delete(idempotencyKey);
+          resolve();
+        };
+      }));
+
+      try {
+        const existing = await getLeadStore().findByIdempotencyKey(idempotencyKey);
+        if (existing && Date.parse(existing.createdAt) >= Date.now() - config.leads.idempotencyWindowMs) {
+          log.info('replayed', { idempotencyKey, leadId: existing.id });
+          res.setHeader('Idempotent-Replayed', 'true');
+          return res.status(200).json({ message: successMessage, leadId: existing.duplicateOf || existing.id });
+        }
+      } catch (storeError) {
+        log.error('store_error', { store: 'leads', error: storeError });
+      }
+    }
+
     // Sanitize all inputs
-    const sanitizedData = {
-      name: sanitizeInput(body.name, 100),
-      email: sanitizeInput(body.email, 254),
-      businessType: sanitizeInput(body.businessType, 50),
-      serviceInterest: sanitizeInput(body.serviceInterest, 50),
-      message: sanitizeInput(body.message, 2000)
-    };
+    const sanitizedData = {};
+    for (const fieldName of formFields) {
+      sanitizedData[fieldName] = sanitizeInput(body[fieldName], { multiline: formSchema[fieldName].type === 'textarea' });
+    }
 
-    // Validate form data
+    // Validate form data against the shared schema
     const validation = validateFormData(sanitizedData);
-    if (!validation.isValid) {
-      return res.status(400).json({ error: validation.error });
+    const serviceDetails = validateServiceDetails(
+      sanitizedData.serviceInterest,
+      sanitizeDetails(sanitizedData.serviceInterest, body.details)
+    );
+    const attachments = parseAttachments(body.attachments);
+    // Only the estimator's inputs are taken from the browser; the figures are recomputed
+    const estimateInput = body.estimate ? validateEstimateInput(body.estimate) : { value: null, error: '' };
+    if (!validation.isValid || !serviceDetails.isValid || attachments.errors.length || estimateInput.error) {
+      const fieldErrors = { ...validation.errors };
+      for (const [name, error] of Object.entries(serviceDetails.errors)) {
+        fieldErrors[`detail_${name}`] = error;
+      }
+      if (attachments.errors.length) {
+        fieldErrors.attachments = attachments.error;
+      }
+      if (estimateInput.error) {
+        fieldErrors.includeEstimate = estimateInput.error;
+      }
+      log.info('validation_failed', { ip: clientIP, fields: Object.keys(fieldErrors) });
+      return res.status(400).json({
+        error: validation.error || serviceDetails.error ||
+          (attachments.errors.length ? `Attachments: ${attachments.error.split('\n')[0]}` : `Cost estimate: ${estimateInput.error}`),
+        fieldErrors,
+        attachmentErrors: attachments.errors,
+      });
+    }
+
+    // Per-email rate limiting, so rotating IPs can't flood one address
+    const emailLimit = await rateLimit(`email:${sanitizedData.email.toLowerCase()}`, config.rateLimit.maxRequestsPerEmail);
+    if (!emailLimit.allowed || emailLimit.remaining < ipLimit.remaining) {
+      setRateLimitHeaders(res, emailLimit);
+    }
+    if (!emailLimit.allowed) {
+      log.warn('rate_limited', { scope: 'email', ip: clientIP, email: sanitizedData.email, limit: emailLimit.limit });
+      return res.status(429).json({ 
+        error: 'Too many requests for this email address. Please try again later.' 
+      });
     }
 
-    // Send email using Resend
-    console.log('Sending email via Resend...');
-    const { data, error } = await resend.emails.send({
-      from: 'Sani Solutions Contact <onboarding@resend.dev>',
-      to: ['sanisolutions18@gmail.com'], // ⚠️ CHANGE THIS TO YOUR EMAIL! ⚠️
-      reply_to: sanitizedData.email,
-      subject: `New Consultation Request from ${sanitizedData.name}`,
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-                .header { background: #007bff; color: white; padding: 20px; text-align: center; }
-                .section { background: #f8f9fa; padding: 20px; margin: 15px 0; border-radius: 5px; }
-                .label { font-weight: bold; color: #007bff; }
-                .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 14px; }
-            </style>
-        </head>
-        <body>
-            <div class="header">
-                <h1>New Consultation Request</h1>
-            </div>
-            
-            <div class="section">
-                <h2>Contact Information</h2>
-                <p><span class="label">Name:</span> ${sanitizedData.name}</p>
-                <p><span class="label">Email:</span> ${sanitizedData.email}</p>
-                <p><span class="label">Business Type:</span> ${businessTypeLabels[sanitizedData.businessType]}</p>
-                <p><span class="label">Service Interest:</span> ${serviceInterestLabels[sanitizedData.serviceInterest]}</p>
-                <p><span class="label">IP Address:</span> ${clientIP}</p>
-                <p><span class="label">Timestamp:</span> ${new Date().toISOString()}</p>
-            </div>
-
-            <div class="section">
-                <h2>Support Needs</h2>
-                <p>${sanitizedData.message.replace(/\n/g, '<br>')}</p>
-            </div>
-
-            <div class="footer">
-                <p>This message was sent from your Sani Solutions website contact form.</p>
-            </div>
-        </body>
-        </html>
-      `,
+    // Persist the lead before emailing, so a provider outage can't lose it
+    const route = resolveRoute(sanitizedData);
+    const lead = buildLeadRecord({
+      data: {
+        ...sanitizedData,
+        details: serviceDetails.values,
+        estimate: estimateInput.value ? computeEstimate(estimateInput.value) : null,
+      },
+      clientIP,
+      req,
+      route,
+      idempotencyKey,
     });
+    const leadStore = getLeadStore();
+
+    async function storeAttachments() {
+      if (!attachments.files.length) return;
+      try {
+        lead.attachments = await saveLeadAttachments(lead.id, attachments.files);
+      } catch (storeError) {
+        log.error('store_error', { store: 'attachments', leadId: lead.id, error: storeError });
+        lead.attachments = attachments.files.map(({ filename, contentType, size }) => ({ filename, contentType, size, path: null }));
+      }
+    }
+
+    // A near-identical resubmission is kept and linked to the original, but
+    // nobody is notified again and the visitor keeps the original reference
+    let original = null;
+    try {
+      original = findDuplicateLead(await leadStore.list(), sanitizedData);
+    } catch (storeError) {
+      log.error('store_error', { store: 'leads', error: storeError });
+    }
+
+    if (original) {
+      log.info('duplicate', { leadId: lead.id, duplicateOf: original.id });
+      lead.duplicateOf = original.id;
+      lead.delivery = { notification: 'skipped', confirmation: 'skipped' };
+      await storeAttachments();
+      try {
+        await leadStore.create(lead);
+        await leadStore.update(original.id, current => ({ duplicates: [...(current.duplicates || []), lead.id] }));
+      } catch (storeError) {
+        log.error('store_error', { store: 'leads', leadId: lead.id, error: storeError });
+      }
+      return res.status(200).json({ message: successMessage, leadId: original.id });
+    }
+
+    // Spam scoring: likely spam is kept for review and gets the same response
+    // as a real lead (like the honeypot), but nobody is emailed
+    const spam = await scoreSubmission({ data: sanitizedData, formToken: body.formToken, leadStore });
+    log.info('spam_scored', { leadId: lead.id, score: spam.score, threshold: spam.threshold, checks: spam.checks });
+    lead.spam = { score: spam.score, flagged: spam.flagged, checks: spam.checks };
+
+    if (spam.flagged) {
+      log.warn('spam_flagged', { leadId: lead.id, ip: clientIP, score: spam.score });
+      lead.delivery = { notification: 'skipped', confirmation: 'skipped' };
+      try {
+        await leadStore.create(lead);
+      } catch (storeError) {
+        log.error('store_error', { store: 'leads', leadId: lead.id, error: storeError });
+      }
+      return res.status(200).json({ message: successMessage, leadId: lead.id });
+    }
+
+    // Reserve the chosen consultation slot so nobody else can book it
+    if (sanitizedData.consultationSlot) {
+      const slot = findSlot(sanitizedData.consultationSlot);
+      if (!slot) {
+        const error = 'That time is no longer available. Please pick another slot.';
+        return res.status(400).json({ error, fieldErrors: { consultationSlot: error } });
+      }
+
+      if (!(await getBookingStore().reserve(slot, lead.id))) {
+        const error = 'That time was just booked by someone else. Please pick another slot.';
+        return res.status(409).json({ error, fieldErrors: { consultationSlot: error } });
+      }
+      lead.consultation = slot;
 
-    if (error) {
-      console.error('Resend error:', error);
-      return res.status(400).json({ error: 'Failed to send message. Please try again.' });
+      // Frees the slot if the request ends in an error, so the visitor's retry can book it
+      releaseSlot = async () => {
+        releaseSlot = async () => {};
+        try {
+          await getBookingStore().release(slot.start);
+          log.info('slot_released', { leadId: lead.id, slot: slot.start });
+        } catch (storeError) {
+          log.error('store_error', { store: 'booking', leadId: lead.id, error: storeError });
+        }
+      };
     }
 
-    console.log(`Email sent successfully for IP: ${clientIP}`, data);
+    const invite = lead.consultation
+      ? [createConsultationInvite({ lead, organizerEmail: config.booking.organizerEmail })]
+      : [];
+
+    await storeAttachments();
+
+    try {
+      await leadStore.create(lead);
+    } catch (storeError) {
+      log.error('store_error', { store: 'leads', leadId: lead.id, error: storeError });
+    }
+
+    async function recordDelivery(changes) {
+      try {
+        await leadStore.update(lead.id, { delivery: { ...lead.delivery, ...changes } });
+        Object.assign(lead.delivery, changes);
+      } catch (storeError) {
+        log.error('store_error', { store: 'leads', leadId: lead.id, error: storeError });
+      }
+    }
+
+    // Build the internal notification
+    const notification = {
+      to: route.to,
+      cc: route.cc,
+      bcc: route.bcc,
+      replyTo: sanitizedData.email,
+      attachments: [...invite, ...attachments.files],
+      ...renderTemplate('notification', { lead, route }),
+    };
+
+    // A failed notification goes to the mail queue for retries. Once it's
+    // queued the lead is safe, so the visitor still gets a success response.
+    try {
+      const result = await sendMail(notification, { log });
+      log.info('sent', { leadId: lead.id, kind: 'notification', transport: result.transport, messageId: result.id });
+      await recordDelivery({ notification: 'sent' });
+    } catch (error) {
+      log.error('send_failed', { leadId: lead.id, kind: 'notification', error });
+      const queued = await queueFailedMail({ kind: 'notification', leadId: lead.id, message: notification, error, log });
+      if (!queued) {
+        // The visitor is asked to try again: free the slot, and drop the
+        // idempotency key so the retry isn't replayed as this failed attempt
+        await releaseSlot();
+        try {
+          await leadStore.update(lead.id, {
+            consultation: null,
+            idempotencyKey: null,
+            delivery: { ...lead.delivery, notification: 'failed' },
+          });
+        } catch (storeError) {
+          log.error('store_error', { store: 'leads', leadId: lead.id, error: storeError });
+        }
+        return res.status(503).json({ error: 'Failed to send message. Please try again.' });
+      }
+      await recordDelivery({ notification: queued.status === 'retrying' ? 'queued' : 'failed' });
+    }
+
+    // The lead is accepted now, so it goes to the CRM, alongside the
+    // confirmation email. Not before: a lead the visitor is asked to send
+    // again would reach the CRM once per attempt.
+    const webhooks = dispatchLeadWebhooks(lead, { log });
+
+    // Confirmation to the prospect. The lead is already taken care of, so a
+    // failure here is queued for retries and never surfaced to the user.
+    if (config.confirmation.enabled) {
+      const confirmation = {
+        from: config.confirmation.from,
+        to: [sanitizedData.email],
+        replyTo: config.confirmation.replyTo,
+        attachments: invite.length ? invite : undefined,
+        ...renderTemplate('confirmation', { lead }),
+      };
+      try {
+        const result = await sendMail(confirmation, { log });
+        log.info('sent', { leadId: lead.id, kind: 'confirmation', transport: result.transport, messageId: result.id });
+        await recordDelivery({ confirmation: 'sent' });
+      } catch (confirmationError) {
+        log.warn('send_failed', { leadId: lead.id, kind: 'confirmation', error: confirmationError });
+        const queued = await queueFailedMail({ kind: 'confirmation', leadId: lead.id, message: confirmation, error: confirmationError, log });
+        await recordDelivery({ confirmation: queued?.status === 'retrying' ? 'queued' : 'failed' });
+      }
+    }
+
+    await webhooks;
+
     return res.status(200).json({ 
-      message: 'Thank you! Your message has been sent successfully. We will get back to you soon.'
+      message: successMessage,
+      leadId: lead.id
     });
 
   } catch (error) {
-    console.error('Server error:', error);
+    log.error('server_error', { error });
+    await releaseSlot();
     return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  } finally {
+    releaseKey();
   }
 }
 
-// Clean up rate limiting map every hour
-setInterval(() => {
-  const now = Date.now();
-  const windowStart = now - config.windowMs;
-  let cleanedCount = 0;
-  
-  for (const [ip, requests] of rateLimitMap.entries()) {
-    const validRequests = requests.filter(time => time > windowStart);
-    if (validRequests.length === 0) {
-      rateLimitMap.delete(ip);
-      cleanedCount++;
-    } else {
-      rateLimitMap.set(ip, validRequests);
-    }
-  }
-  
-  if (cleanedCount > 0) {
-    console.log(`Cleaned up ${cleanedCount} expired rate limit entries`);
-  }
-}, 60 * 60 * 1000); // Clean every hour
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { setSecurityHeaders } from '../lib/http.js';
+import { createRequestLogger } from '../lib/logger.js';
+import { availability, listOpenSlots } from '../lib/booking/index.js';
+
+// Open consultation slots for the contact form.
+//   GET /api/slots -> { timeZone, slotMinutes, slots: [{ start, end }] }
+export default async function handler(req, res) {
+  setSecurityHeaders(res);
+  const log = createRequestLogger(req, res);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const slots = await listOpenSlots();
+    return res.status(200).json({
+      timeZone: availability.timeZone,
+      slotMinutes: availability.slotMinutes,
+      slots,
+    });
+  } catch (error) {
+    log.error('store_error', { store: 'booking', error });
+    return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+}
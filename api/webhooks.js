@@ -0,0 +1,13 @@
+import { getDeliveryStore } from '../lib/webhooks/index.js';
+import { createQueueListHandler } from '../lib/retry-queue/handlers.js';
+
+// Webhook delivery log for the ops team, newest first (payloads left out).
+// `counts` covers the whole log, so monitoring can alert on counts.failed.
+//   GET /api/webhooks?status=pending|delivered|retrying|failed&leadId=&limit=
+export default createQueueListHandler({
+  getStore: getDeliveryStore,
+  statuses: ['pending', 'delivered', 'retrying', 'failed'],
+  listName: 'deliveries',
+  omit: 'payload',
+  store: 'webhooks',
+});
@@ -0,0 +1,21 @@
+// Consultation availability, in the team's time zone.
+// `weekly` lists bookable windows per weekday; `blockedDates` are whole days off.
+export default {
+  timeZone: 'America/New_York',
+  slotMinutes: 30,
+  leadTimeHours: 24, // earliest bookable slot, counted from now
+  horizonDays: 14, // how far ahead slots are offered
+  weekly: {
+    mon: [['09:00', '12:00'], ['13:00', '18:00']],
+    tue: [['09:00', '12:00'], ['13:00', '18:00']],
+    wed: [['09:00', '12:00'], ['13:00', '18:00']],
+    thu: [['09:00', '12:00'], ['13:00', '18:00']],
+    fri: [['09:00', '12:00'], ['13:00', '18:00']],
+    sat: [],
+    sun: [],
+  },
+  blockedDates: [
+    '2025-12-25',
+    '2026-01-01',
+  ],
+};
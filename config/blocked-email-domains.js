@@ -0,0 +1,31 @@
+// Email domains checked by the spam scorer. `disposable` are throwaway inbox
+// services (a real prospect rarely uses one); `blocked` are domains we've seen
+// send nothing but spam. Subdomains match too, so 'mailinator.com' covers
+// 'eu.mailinator.com'.
+export default {
+  disposable: [
+    '10minutemail.com',
+    '33mail.com',
+    'dispostable.com',
+    'emailondeck.com',
+    'fakeinbox.com',
+    'getairmail.com',
+    'getnada.com',
+    'guerrillamail.com',
+    'guerrillamail.net',
+    'maildrop.cc',
+    'mailinator.com',
+    'mailnesia.com',
+    'mintemail.com',
+    'mohmal.com',
+    'sharklasers.com',
+    'spamgourmet.com',
+    'temp-mail.org',
+    'tempmail.com',
+    'tempmailo.com',
+    'throwawaymail.com',
+    'trashmail.com',
+    'yopmail.com',
+  ],
+  blocked: [],
+};
@@ -0,0 +1,31 @@
+// Who gets notified about a new lead. Routes are checked in order and the
+// first one whose `match` fits the submission wins; otherwise `default` is used.
+// `match` keys are form fields, values are the allowed option values.
+// Validated when the API starts. Preview with: npm run routes:dry-run -- serviceInterest=webdev
+export default {
+  default: {
+    name: 'default',
+    to: ['sanisolutions18@gmail.com'],
+    cc: [],
+    bcc: [],
+    subjectPrefix: '',
+  },
+  routes: [
+    {
+      name: 'web-development',
+      match: { serviceInterest: ['webdev'] },
+      to: ['sanisolutions18@gmail.com'], // dev lead
+      cc: [],
+      bcc: [],
+      subjectPrefix: '[Dev]',
+    },
+    {
+      name: 'full-service',
+      match: { serviceInterest: ['full'] },
+      to: ['sanisolutions18@gmail.com'], // sales
+      cc: [],
+      bcc: [],
+      subjectPrefix: '[Sales]',
+    },
+  ],
+};
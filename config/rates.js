@@ -0,0 +1,20 @@
+// Rate table behind the cost-savings estimator. The site uses it to show
+// estimates and /api/send-email recomputes submitted estimates from it, so a
+// change here applies to both. Amounts are in `currency`.
+export default {
+  currency: 'USD',
+  weeksPerMonth: 52 / 12,
+  // Hourly VA rate per service (keys match the form's serviceInterest values)
+  hourlyRates: {
+    admin: 12,
+    customer: 14,
+    webdev: 30,
+    full: 16,
+  },
+  // In-house baseline: annual salary for a full-time hire, plus what they cost
+  // on top of it (payroll taxes, benefits, equipment, office space)
+  fullTimeHoursPerWeek: 40,
+  overheadRate: 0.3,
+  hoursPerWeek: { min: 1, max: 120, default: 20 }, // per service
+  salary: { min: 10000, max: 300000, step: 1000, default: 45000 },
+};
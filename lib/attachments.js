@@ -0,0 +1,103 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { config } from './config.js';
+import { attachmentRules, fileExtension, validateAttachments } from '../shared/form-schema.js';
+
+// Leading bytes each binary type must start with. Text types are checked for NUL bytes instead.
+const zip = [0x50, 0x4B, 0x03, 0x04];
+const ole = [0xD0, 0xCF, 0x11, 0xE0];
+const signatures = {
+  pdf: [0x25, 0x50, 0x44, 0x46],
+  doc: ole,
+  xls: ole,
+  docx: zip,
+  xlsx: zip,
+  png: [0x89, 0x50, 0x4E, 0x47],
+  jpg: [0xFF, 0xD8, 0xFF],
+  jpeg: [0xFF, 0xD8, 0xFF],
+};
+
+function contentMatchesExtension(buffer, extension) {
+  const signature = signatures[extension];
+  if (signature) {
+    return signature.every((byte, index) => buffer[index] === byte);
+  }
+  return !buffer.subarray(0, 8192).includes(0);
+}
+
+// Keep filenames safe for disk, email headers and HTML alike
+function safeFilename(name) {
+  const base = path.basename(String(name)).replace(/[^\w.\- ()]/g, '_').trim();
+  return base.slice(-100) || 'attachment';
+}
+
+// Decodes and checks `attachments` from the request body:
+// [{ name, type, content (base64) }] -> { files, errors, error }
+export function parseAttachments(raw) {
+  if (raw === undefined || raw === null || (Array.isArray(raw) && raw.length === 0)) {
+    return { files: [], errors: [], error: '' };
+  }
+  if (!Array.isArray(raw)) {
+    return { files: [], errors: [{ name: '', error: 'Invalid attachments' }], error: 'Invalid attachments' };
+  }
+
+  const files = [];
+  const decodeErrors = [];
+
+  raw.slice(0, attachmentRules.maxFiles + 1).forEach(item => {
+    const name = path.basename(String(item?.name || 'attachment')).slice(-100);
+    const content = typeof item?.content === 'string' ? item.content : '';
+
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(content)) {
+      decodeErrors.push({ name, error: 'This file could not be read' });
+      return;
+    }
+
+    const buffer = Buffer.from(content, 'base64');
+    files.push({
+      name,
+      type: typeof item.type === 'string' ? item.type : '',
+      size: buffer.length,
+      content: buffer,
+    });
+  });
+
+  // Same rules as the browser, but against the decoded size
+  const { errors } = validateAttachments(files);
+  errors.unshift(...decodeErrors);
+
+  for (const file of files) {
+    const extension = fileExtension(file.name);
+    if (!errors.some(error => error.name === file.name) && !contentMatchesExtension(file.content, extension)) {
+      errors.push({ name: file.name, error: 'The file contents do not match its type' });
+    }
+  }
+
+  return {
+    files: errors.length ? [] : files.map(file => ({
+      filename: safeFilename(file.name),
+      contentType: attachmentRules.types[fileExtension(file.name)][0],
+      size: file.size,
+      content: file.content,
+    })),
+    errors,
+    error: errors.map(({ name, error }) => (name ? `${name}: ${error}` : error)).join('\n'),
+  };
+}
+
+// Writes the files next to the lead and returns their metadata for the lead record
+export async function saveLeadAttachments(leadId, files) {
+  const dir = path.join(config.leads.attachmentsDir, leadId);
+  await fs.mkdir(dir, { recursive: true });
+
+  return Promise.all(files.map(async (file, index) => {
+    const storedName = `${index + 1}-${file.filename}`;
+    await fs.writeFile(path.join(dir, storedName), file.content);
+    return {
+      filename: file.filename,
+      contentType: file.contentType,
+      size: file.size,
+      path: path.join(leadId, storedName),
+    };
+  }));
+}
@@ -0,0 +1,21 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+// Checks `Authorization: Bearer <token>` against the expected token in constant time
+export function hasBearerToken(req, expectedToken) {
+  if (!expectedToken) return false;
+
+  const [scheme, token] = (req.headers['authorization'] || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return false;
+
+  return timingSafeEqual(digest(token), digest(expectedToken));
+}
+
+// The staff member whose token is in the Authorization header, or null.
+// staff: [{ name, token }]
+export function findStaffMember(req, staff) {
+  return staff.find(member => hasBearerToken(req, member.token)) || null;
+}
@@ -0,0 +1,4 @@
+// Delay before the next attempt, after `attempts` failed ones: backoffMs, 2x, 4x... capped
+export function backoffDelay(attempts, { backoffMs, maxBackoffMs }) {
+  return Math.min(maxBackoffMs, backoffMs * 2 ** Math.max(0, attempts - 1));
+}
@@ -0,0 +1,35 @@
+import { readJsonFile, updateJsonFile } from '../storage/json-file.js';
+
+// Reservations keyed by slot start, in one JSON file. Reserving checks and
+// writes under the file lock, so a slot can't be handed out twice.
+export function createFileStore(filePath) {
+  const empty = { bookings: {} };
+
+  return {
+    reserve(slot, leadId) {
+      return updateJsonFile(filePath, empty, data => {
+        const now = new Date().toISOString();
+        for (const [start, booking] of Object.entries(data.bookings)) {
+          if (booking.end < now) {
+            delete data.bookings[start];
+          }
+        }
+
+        if (data.bookings[slot.start]) return false;
+        data.bookings[slot.start] = { ...slot, leadId, reservedAt: now };
+        return true;
+      });
+    },
+
+    release(start) {
+      return updateJsonFile(filePath, empty, data => {
+        delete data.bookings[start];
+      });
+    },
+
+    async list() {
+      const data = await readJsonFile(filePath, empty);
+      return Object.values(data.bookings);
+    },
+  };
+}
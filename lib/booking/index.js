@@ -0,0 +1,38 @@
+import { config } from '../config.js';
+import { createMemoryStore } from './memory-store.js';
+import { createFileStore } from './file-store.js';
+import { createRedisStore } from './redis-store.js';
+import { availability, findSlot, generateSlots } from './slots.js';
+
+export { availability, findSlot };
+
+// Every store implements: reserve(slot, leadId) -> boolean, release(start), list()
+export function createBookingStore(options = config.booking) {
+  switch (options.store) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(options.filePath);
+    case 'redis':
+      if (!options.redisUrl) {
+        throw new Error('REDIS_URL must be set when BOOKING_STORE is "redis"');
+      }
+      return createRedisStore(options.redisUrl);
+    default:
+      throw new Error(`Unknown booking store: ${options.store}`);
+  }
+}
+
+let store = null;
+
+export function getBookingStore() {
+  if (!store) {
+    store = createBookingStore();
+  }
+  return store;
+}
+
+export async function listOpenSlots(now = new Date()) {
+  const bookings = await getBookingStore().list();
+  return generateSlots({ now, reserved: bookings.map(booking => booking.start) });
+}
@@ -0,0 +1,59 @@
+// iCalendar (RFC 5545) helpers for the consultation invite
+
+function icsDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+// .ics attachment for a booked consultation, sent to both the team and the prospect
+export function createConsultationInvite({ lead, organizerEmail }) {
+  const { start, end } = lead.consultation;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SaniSolutions//Consultation Booking//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:REQUEST',
+    'BEGIN:VEVENT',
+    `UID:${lead.id}@sanisolutions.com`,
+    `DTSTAMP:${icsDate(lead.createdAt)}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${icsText(`SaniSolutions consultation with ${lead.name}`)}`,
+    `DESCRIPTION:${icsText(`Free consultation (Ref: ${lead.id}).\n\n${lead.message}`)}`,
+    `ORGANIZER;CN=SaniSolutions:mailto:${organizerEmail}`,
+    `ATTENDEE;CN="${lead.name.replace(/[\u0000-\u001f"]/g, '')}";ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${lead.email}`,
+    'STATUS:CONFIRMED',
+    'SEQUENCE:0',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+
+  return {
+    filename: 'consultation.ics',
+    content: Buffer.from(lines.map(foldLine).join('\r\n') + '\r\n'),
+    contentType: 'text/calendar; charset=utf-8; method=REQUEST',
+  };
+}
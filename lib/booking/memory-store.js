@@ -0,0 +1,20 @@
+// Per-instance booking store, for local development and tests
+export function createMemoryStore() {
+  const bookings = new Map();
+
+  return {
+    async reserve(slot, leadId) {
+      if (bookings.has(slot.start)) return false;
+      bookings.set(slot.start, { ...slot, leadId, reservedAt: new Date().toISOString() });
+      return true;
+    },
+
+    async release(start) {
+      bookings.delete(start);
+    },
+
+    async list() {
+      return [...bookings.values()];
+    },
+  };
+}
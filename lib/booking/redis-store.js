@@ -0,0 +1,43 @@
+import { createRedisClient } from '../redis/client.js';
+
+// One key per reserved slot, shared by every serverless instance. Reserving
+// is a single SET NX, so of two instances reserving the same slot at once
+// exactly one succeeds. Keys expire when their slot ends; `booking:slots`
+// lists the reserved starts so list() doesn't need to scan.
+export function createRedisStore(url) {
+  const client = createRedisClient(url);
+  const slotsKey = 'booking:slots';
+  const slotKey = start => `booking:slot:${start}`;
+
+  return {
+    async reserve(slot, leadId) {
+      const now = Date.now();
+      const booking = { ...slot, leadId, reservedAt: new Date(now).toISOString() };
+      const ttlMs = Math.max(1000, Date.parse(slot.end) - now);
+
+      const reply = await client.command(['SET', slotKey(slot.start), JSON.stringify(booking), 'PX', ttlMs, 'NX']);
+      if (reply !== 'OK') return false;
+      await client.command(['SADD', slotsKey, slot.start]);
+      return true;
+    },
+
+    async release(start) {
+      await client.multi([
+        ['DEL', slotKey(start)],
+        ['SREM', slotsKey, start],
+      ]);
+    },
+
+    async list() {
+      const starts = await client.command(['SMEMBERS', slotsKey]);
+      const values = await Promise.all(starts.map(start => client.command(['GET', slotKey(start)])));
+
+      // Slots whose key has expired are over; drop them from the list
+      const expired = starts.filter((start, index) => values[index] === null);
+      if (expired.length) {
+        await client.command(['SREM', slotsKey, ...expired]);
+      }
+      return values.filter(Boolean).map(value => JSON.parse(value));
+    },
+  };
+}
@@ -0,0 +1,51 @@
+import availability from '../../config/availability.js';
+import { addDays, weekdayOf, zonedDateString, zonedTimeToUtc } from '../time-zones.js';
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function toTime(totalMinutes) {
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const minutes = String(totalMinutes % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+// Every open slot between now + lead time and the horizon: [{ start, end }] as ISO strings
+export function generateSlots({ now = new Date(), reserved = [], settings = availability } = {}) {
+  const { timeZone, slotMinutes, leadTimeHours, horizonDays, weekly, blockedDates } = settings;
+  const earliest = now.getTime() + leadTimeHours * 60 * 60 * 1000;
+  const taken = new Set(reserved);
+  const today = zonedDateString(now, timeZone);
+  const slots = [];
+
+  for (let offset = 0; offset <= horizonDays; offset++) {
+    const date = addDays(today, offset);
+    if (blockedDates.includes(date)) continue;
+
+    for (const [from, to] of weekly[weekdayOf(date)] || []) {
+      for (let minutes = toMinutes(from); minutes + slotMinutes <= toMinutes(to); minutes += slotMinutes) {
+        const start = zonedTimeToUtc(date, toTime(minutes), timeZone);
+        if (start.getTime() < earliest) continue;
+
+        const slot = {
+          start: start.toISOString(),
+          end: new Date(start.getTime() + slotMinutes * 60 * 1000).toISOString(),
+        };
+        if (!taken.has(slot.start)) {
+          slots.push(slot);
+        }
+      }
+    }
+  }
+
+  return slots;
+}
+
+// The slot starting at `start` if it's currently offered (ignoring reservations)
+export function findSlot(start, options) {
+  return generateSlots({ ...options, reserved: [] }).find(slot => slot.start === start) || null;
+}
+
+export { availability };
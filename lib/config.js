@@ -0,0 +1,164 @@
+import os from 'node:os';
+import path from 'node:path';
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Local data directory (serverless platforms only allow writes to the tmp dir)
+const dataDir = process.env.DATA_DIR || path.join(os.tmpdir(), 'sani-solutions');
+
+function listFromEnv(name, fallback) {
+  return (process.env[name] || fallback).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// "name:token,name:token" -> [{ name, token }]
+function staffFromEnv(name) {
+  return listFromEnv(name, '')
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return { name: entry.slice(0, separator).trim(), token: entry.slice(separator + 1).trim() };
+    })
+    .filter(member => member.name && member.token);
+}
+
+// Configuration
+export const config = {
+  honeyPotField: 'company_name',
+  dataDir,
+  // Vercel sets VERCEL=1. Its instances each have their own memory and tmp
+  // dir, so every store has to be in Redis there (see the check at the end).
+  serverless: Boolean(process.env.VERCEL),
+  logging: {
+    level: process.env.LOG_LEVEL || 'info', // debug | info | warn | error | silent
+    // How personal data appears in logs: keep | hash | mask | remove
+    redact: {
+      email: process.env.LOG_REDACT_EMAIL || 'hash',
+      name: process.env.LOG_REDACT_NAME || 'remove',
+      ip: process.env.LOG_REDACT_IP || 'mask',
+    },
+    hashSalt: process.env.LOG_HASH_SALT || '', // keeps hashes from being reversed by guessing common values
+  },
+  cors: {
+    // Origins allowed to POST to the API (besides the site's own host, so a
+    // preview deployment can always post to itself). A `*` in the host matches
+    // one DNS label. Anyone can create a Vercel project, so a preview wildcard
+    // must include the team suffix, e.g. https://sani-solutions-*-<team-slug>.vercel.app,
+    // and is left for each deployment to configure.
+    allowedOrigins: listFromEnv(
+      'ALLOWED_ORIGINS',
+      'https://sani-solutions.vercel.app,https://sanisolutions.com,https://www.sanisolutions.com'
+    ),
+    allowMissingOrigin: process.env.CORS_ALLOW_MISSING_ORIGIN === 'true', // accept POSTs with neither Origin nor Referer
+  },
+  rateLimit: {
+    store: process.env.RATE_LIMIT_STORE || (process.env.REDIS_URL ? 'redis' : 'memory'), // memory | file | redis
+    redisUrl: process.env.REDIS_URL || '',
+    filePath: path.join(dataDir, 'rate-limit.json'),
+    windowMs: intFromEnv('RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000), // 15 minutes
+    maxRequests: intFromEnv('RATE_LIMIT_MAX_PER_IP', 5), // per IP per window
+    maxRequestsPerEmail: intFromEnv('RATE_LIMIT_MAX_PER_EMAIL', 3), // per email per window
+  },
+  leads: {
+    store: process.env.LEAD_STORE || (process.env.REDIS_URL ? 'redis' : 'file'), // memory | file | redis
+    redisUrl: process.env.REDIS_URL || '',
+    filePath: path.join(dataDir, 'leads.json'),
+    attachmentsDir: path.join(dataDir, 'attachments'),
+    idempotencyWindowMs: intFromEnv('IDEMPOTENCY_WINDOW_MS', 24 * 60 * 60 * 1000), // repeated keys replay the original result
+    // A submission from the same email within this period that closely matches
+    // an earlier lead is linked to it as a duplicate and nobody is notified again
+    duplicateWindowMs: intFromEnv('DUPLICATE_WINDOW_MS', 7 * 24 * 60 * 60 * 1000),
+    duplicateMinSimilarity: intFromEnv('DUPLICATE_MIN_SIMILARITY', 85), // percent, message text compared
+  },
+  booking: {
+    store: process.env.BOOKING_STORE || (process.env.REDIS_URL ? 'redis' : 'file'), // memory | file | redis
+    redisUrl: process.env.REDIS_URL || '',
+    filePath: path.join(dataDir, 'bookings.json'),
+    organizerEmail: process.env.BOOKING_ORGANIZER_EMAIL || 'sanisolutions18@gmail.com',
+  },
+  admin: {
+    apiToken: process.env.LEADS_API_TOKEN || '', // bearer token for /api/leads
+    previewToken: process.env.EMAIL_PREVIEW_TOKEN || process.env.LEADS_API_TOKEN || '', // /api/email-preview
+    jobToken: process.env.JOBS_TOKEN || process.env.CRON_SECRET || '', // retry jobs; Vercel Cron sends CRON_SECRET
+    // Sign-in tokens for the pipeline dashboard (admin.html); each person's name
+    // is used for lead owners and the activity history
+    staff: staffFromEnv('STAFF_TOKENS'),
+  },
+  webhooks: {
+    urls: listFromEnv('WEBHOOK_URLS', ''), // every accepted lead is POSTed to each of these
+    secret: process.env.WEBHOOK_SECRET || '', // HMAC-SHA256 signing key; webhooks are off without it
+    store: process.env.WEBHOOK_STORE || (process.env.REDIS_URL ? 'redis' : 'file'), // memory | file | redis (delivery log)
+    redisUrl: process.env.REDIS_URL || '',
+    filePath: path.join(dataDir, 'webhook-deliveries.json'),
+    timeoutMs: intFromEnv('WEBHOOK_TIMEOUT_MS', 5000),
+    maxAttempts: intFromEnv('WEBHOOK_MAX_ATTEMPTS', 8),
+    backoffMs: intFromEnv('WEBHOOK_BACKOFF_MS', 30 * 1000), // first retry delay, doubled after each failure
+    maxBackoffMs: intFromEnv('WEBHOOK_MAX_BACKOFF_MS', 6 * 60 * 60 * 1000),
+  },
+  mail: {
+    // Ordered fallback chain: resend | smtp | dev
+    transports: listFromEnv('MAIL_TRANSPORTS', 'resend'),
+    from: process.env.MAIL_FROM || 'Sani Solutions Contact <onboarding@resend.dev>',
+    resend: {
+      apiKey: process.env.RESEND_API_KEY || '',
+    },
+    smtp: {
+      host: process.env.SMTP_HOST || '',
+      port: intFromEnv('SMTP_PORT', 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      pass: process.env.SMTP_PASS || '',
+    },
+    dev: {
+      output: process.env.MAIL_DEV_OUTPUT || 'file', // file | stdout
+      dir: path.join(dataDir, 'outbox'),
+    },
+  },
+  mailQueue: {
+    // Dead-letter queue for emails that failed to send, retried by the retry job
+    store: process.env.MAIL_QUEUE_STORE || (process.env.REDIS_URL ? 'redis' : 'file'), // memory | file | redis
+    redisUrl: process.env.REDIS_URL || '',
+    filePath: path.join(dataDir, 'mail-queue.json'),
+    maxAttempts: intFromEnv('MAIL_QUEUE_MAX_ATTEMPTS', 10), // including the original send
+    backoffMs: intFromEnv('MAIL_QUEUE_BACKOFF_MS', 60 * 1000), // first retry delay, doubled after each failure
+    maxBackoffMs: intFromEnv('MAIL_QUEUE_MAX_BACKOFF_MS', 2 * 60 * 60 * 1000),
+    alertTo: listFromEnv('MAIL_ALERT_TO', ''), // told when an email is given up on; see /api/mail-queue either way
+  },
+  spam: {
+    tokenSecret: process.env.FORM_TOKEN_SECRET || '', // HMAC key for form tokens; token checks are skipped without it
+    tokenMaxAgeMs: intFromEnv('FORM_TOKEN_MAX_AGE_MS', 24 * 60 * 60 * 1000),
+    threshold: intFromEnv('SPAM_SCORE_THRESHOLD', 5), // scores at or above this are flagged
+    minSubmitMs: intFromEnv('SPAM_MIN_SUBMIT_MS', 3000), // faster than this from page render looks automated
+    maxLinks: intFromEnv('SPAM_MAX_LINKS', 2), // links allowed in the message before it scores
+    repeatWindowMs: intFromEnv('SPAM_REPEAT_WINDOW_MS', 24 * 60 * 60 * 1000),
+  },
+  confirmation: {
+    enabled: process.env.SEND_CONFIRMATION_EMAIL !== 'false',
+    from: process.env.CONFIRMATION_FROM || 'SaniSolutions <onboarding@resend.dev>',
+    replyTo: process.env.CONFIRMATION_REPLY_TO || 'sanisolutions18@gmail.com',
+  },
+};
+
+// Every store, by the variable that picks it. On a serverless host a memory
+// or file store would only be seen by one instance: slots could be booked
+// twice, rate limits wouldn't hold and queued retries would never run. That
+// is refused here, when the config loads, so a deployment without Redis fails
+// on every request instead of losing data quietly.
+const stores = {
+  RATE_LIMIT_STORE: config.rateLimit,
+  LEAD_STORE: config.leads,
+  BOOKING_STORE: config.booking,
+  WEBHOOK_STORE: config.webhooks,
+  MAIL_QUEUE_STORE: config.mailQueue,
+};
+
+if (config.serverless) {
+  const local = Object.entries(stores)
+    .filter(([, settings]) => settings.store !== 'redis')
+    .map(([name, settings]) => `${name}=${settings.store}`);
+  if (!process.env.REDIS_URL || local.length) {
+    const problem = process.env.REDIS_URL ? `found ${local.join(', ')}` : 'REDIS_URL is not set';
+    throw new Error(`Every store must be "redis" on serverless hosts; ${problem}`);
+  }
+}
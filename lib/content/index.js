@@ -0,0 +1,62 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseFaq } from './markdown.js';
+import { renderers } from './render.js';
+import { contentSchema, validateEntries } from './schema.js';
+
+// Site content (services, process, testimonials, FAQ) lives in content/ and
+// is rendered into index.html by scripts/build-content.js, between markers:
+//   <!-- content:services -->  ...generated...  <!-- /content:services -->
+
+export const contentDir = fileURLToPath(new URL('../../content/', import.meta.url));
+
+export class ContentError extends Error {
+  constructor(errors) {
+    super(`Invalid site content:\n  ${errors.join('\n  ')}`);
+    this.name = 'ContentError';
+    this.errors = errors;
+  }
+}
+
+async function readEntries(dir, file) {
+  const source = await fs.readFile(path.join(dir, file), 'utf8');
+  return file.endsWith('.md') ? parseFaq(source) : JSON.parse(source);
+}
+
+// Reads and validates every collection. Throws a ContentError listing all
+// problems at once rather than stopping at the first.
+export async function loadContent(dir = contentDir) {
+  const content = {};
+  const errors = [];
+
+  for (const [name, { file }] of Object.entries(contentSchema)) {
+    try {
+      content[name] = await readEntries(dir, file);
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+      continue;
+    }
+    errors.push(...validateEntries(name, content[name]));
+  }
+
+  if (errors.length) throw new ContentError(errors);
+  return content;
+}
+
+// Replaces each marked region of the page with freshly rendered markup,
+// indented to match its opening marker
+export function renderPage(page, content) {
+  return Object.entries(renderers).reduce((html, [name, render]) => {
+    const region = new RegExp(`^([ \\t]*)<!-- content:${name} -->\\n[\\s\\S]*?^[ \\t]*<!-- /content:${name} -->`, 'm');
+    if (!region.test(html)) {
+      throw new ContentError([`index.html: missing the <!-- content:${name} --> ... <!-- /content:${name} --> markers`]);
+    }
+
+    return html.replace(region, (match, indent) => [
+      `${indent}<!-- content:${name} -->`,
+      ...render(content).map(line => (line ? `${indent}${line}` : '')),
+      `${indent}<!-- /content:${name} -->`,
+    ].join('\n'));
+  }, page);
+}
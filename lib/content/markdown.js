@@ -0,0 +1,51 @@
+import { escapeHtml } from '../encoding.js';
+
+// The small Markdown subset used by content/faq.md: `## ` headings start an
+// entry, blank lines separate paragraphs, and paragraphs may use **bold** and
+// [links](url). HTML comments are ignored; anything else is plain text.
+
+const linkPattern = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+function stripComments(source) {
+  return source.replace(/<!--[\s\S]*?-->/g, '');
+}
+
+// '## Question\n\nAnswer...' -> [{ question, answer }]. Text before the first
+// heading becomes an entry without a question, so validation reports it.
+export function parseFaq(source) {
+  return stripComments(source)
+    .split(/^## /m)
+    .map((chunk, index) => {
+      if (index === 0) {
+        return chunk.trim() ? { question: '', answer: chunk.trim() } : null;
+      }
+      const [heading, ...body] = chunk.split(/\r?\n/);
+      return { question: heading.trim(), answer: body.join('\n').trim() };
+    })
+    .filter(Boolean);
+}
+
+export function paragraphs(text) {
+  return text.split(/\r?\n\s*\r?\n/).map(paragraph => paragraph.replace(/\s*\r?\n\s*/g, ' ').trim()).filter(Boolean);
+}
+
+export function markdownLinks(text) {
+  return [...text.matchAll(linkPattern)].map(match => match[2]);
+}
+
+// Paragraphs as HTML. The text is escaped before the inline markup is applied.
+export function renderMarkdown(text) {
+  return paragraphs(text).map(paragraph => {
+    const inline = escapeHtml(paragraph)
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(linkPattern, '<a href="$2">$1</a>');
+    return `<p>${inline}</p>`;
+  });
+}
+
+// Plain text without the markup, paragraphs separated by blank lines
+export function markdownToText(text) {
+  return paragraphs(text)
+    .map(paragraph => paragraph.replace(/\*\*(.+?)\*\*/g, '$1').replace(linkPattern, '$1'))
+    .join('\n\n');
+}
@@ -0,0 +1,98 @@
+import { escapeHtml } from '../encoding.js';
+import { renderMarkdown } from './markdown.js';
+
+// Markup for each marked region of the page, matching the classes style.css
+// and main.js (initFAQ, initScrollAnimations) expect. Each renderer gets all
+// the content and returns the region's lines without leading indentation;
+// the build indents them to match the page.
+
+function initials(name) {
+  return name.split(/\s+/).filter(Boolean).map(word => word[0]).slice(0, 2).join('').toUpperCase();
+}
+
+// Stable element ids for FAQ items, used for #faq-... deep links:
+// 'How quickly can I get started?' -> 'faq-how-quickly-can-i-get-started'
+export function faqIds(entries) {
+  const used = new Set();
+  return entries.map(({ question }) => {
+    const slug = question.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f'’]/g, '')
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60).replace(/-+$/, '');
+    let id = `faq-${slug || 'item'}`;
+    for (let n = 2; used.has(id); n++) id = `faq-${slug || 'item'}-${n}`;
+    used.add(id);
+    return id;
+  });
+}
+
+// JSON for a <script> element: '<' is escaped so answer markup can't close it
+function scriptJson(data) {
+  return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+export const renderers = {
+  services: ({ services }) => services.flatMap((service, index) => [
+    ...(index ? [''] : []),
+    `<div class="service-card service-${index + 1}">`,
+    `    <i class="fas ${service.icon} service-icon"></i>`,
+    `    <h3 class="item-title">${escapeHtml(service.title)}</h3>`,
+    '    <ul class="bullet-list">',
+    ...service.items.map(item => `        <li><i class="fas fa-check-circle"></i> ${escapeHtml(item)}</li>`),
+    '    </ul>',
+    '</div>',
+  ]),
+
+  process: ({ process }) => process.flatMap((step, index) => [
+    '<div class="process-step">',
+    `    <div class="process-number">${String(index + 1).padStart(2, '0')}</div>`,
+    '    <div class="process-icon">',
+    `        <i class="fas ${step.icon}"></i>`,
+    '    </div>',
+    `    <h3>${escapeHtml(step.title)}</h3>`,
+    `    <p>${escapeHtml(step.description)}</p>`,
+    '</div>',
+  ]),
+
+  testimonials: ({ testimonials }) => testimonials.flatMap((testimonial, index) => [
+    `<div class="testimonial testimonial-${index + 1}">`,
+    `    <div class="testimonial-quote">"${escapeHtml(testimonial.quote)}"</div>`,
+    '    <div class="testimonial-author">',
+    `        <div class="testimonial-avatar">${escapeHtml(initials(testimonial.name))}</div>`,
+    '        <div class="testimonial-info">',
+    `            <h4>${escapeHtml(testimonial.name)}</h4>`,
+    `            <p>${escapeHtml(testimonial.role)}</p>`,
+    '        </div>',
+    '    </div>',
+    '</div>',
+  ]),
+
+  // Each question is a button controlling its answer, which is a region
+  // labelled by the question
+  faq: ({ faq }) => {
+    const ids = faqIds(faq);
+    return faq.flatMap((item, index) => [
+      `<div class="faq-item" id="${ids[index]}">`,
+      `    <div class="faq-question" id="${ids[index]}-question" role="button" tabindex="0" aria-expanded="false" aria-controls="${ids[index]}-answer">`,
+      `        <h3>${escapeHtml(item.question)}</h3>`,
+      '        <i class="fas fa-chevron-down" aria-hidden="true"></i>',
+      '    </div>',
+      `    <div class="faq-answer" id="${ids[index]}-answer" role="region" aria-labelledby="${ids[index]}-question">`,
+      ...renderMarkdown(item.answer).map(paragraph => `        ${paragraph}`),
+      '    </div>',
+      '</div>',
+    ]);
+  },
+
+  // FAQPage structured data from the same items, in the page <head>
+  'faq-schema': ({ faq }) => {
+    const data = {
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      mainEntity: faq.map(item => ({
+        '@type': 'Question',
+        name: item.question,
+        acceptedAnswer: { '@type': 'Answer', text: renderMarkdown(item.answer).join('') },
+      })),
+    };
+    return ['<script type="application/ld+json">', ...scriptJson(data).split('\n'), '</script>'];
+  },
+};
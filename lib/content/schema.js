@@ -0,0 +1,116 @@
+import { markdownLinks } from './markdown.js';
+
+// Schemas for the page content in content/. The build checks every entry
+// before it writes anything, so a malformed file fails `npm run build`.
+// Field types: 'text' (one line), 'list' (of one-line strings), 'icon'
+// (a Font Awesome solid icon name) and 'markdown' (see markdown.js).
+
+export const contentSchema = {
+  services: {
+    file: 'services.json',
+    fields: {
+      icon: { type: 'icon', required: true },
+      title: { type: 'text', required: true, maxLength: 80, unique: true },
+      items: { type: 'list', required: true, minItems: 1, maxItems: 8, maxLength: 80 },
+    },
+  },
+  process: {
+    file: 'process.json',
+    fields: {
+      icon: { type: 'icon', required: true },
+      title: { type: 'text', required: true, maxLength: 60, unique: true },
+      description: { type: 'text', required: true, maxLength: 300 },
+    },
+  },
+  testimonials: {
+    file: 'testimonials.json',
+    fields: {
+      quote: { type: 'text', required: true, maxLength: 400 },
+      name: { type: 'text', required: true, maxLength: 60 },
+      role: { type: 'text', required: true, maxLength: 100 },
+    },
+  },
+  faq: {
+    file: 'faq.md',
+    fields: {
+      question: { type: 'text', required: true, maxLength: 150, unique: true },
+      answer: { type: 'markdown', required: true, maxLength: 1500 },
+    },
+  },
+};
+
+const iconPattern = /^fa-[a-z0-9]+(-[a-z0-9]+)*$/;
+const linkPattern = /^(https?:\/\/|mailto:|#|\/)/;
+
+function validateValue(field, value) {
+  if (field.type === 'list') {
+    if (!Array.isArray(value)) return 'must be a list';
+    if (value.length < field.minItems) return `needs at least ${field.minItems} item(s)`;
+    if (value.length > field.maxItems) return `has more than ${field.maxItems} items`;
+    for (const [index, item] of value.entries()) {
+      const error = validateValue({ type: 'text', maxLength: field.maxLength }, item);
+      if (error) return `item ${index + 1} ${error}`;
+    }
+    return '';
+  }
+
+  if (typeof value !== 'string') return 'must be a string';
+  if (!value.trim()) return 'is required';
+  if (value.length > field.maxLength) return `is longer than ${field.maxLength} characters`;
+
+  switch (field.type) {
+    case 'text':
+      return /[\r\n]/.test(value) ? 'must be a single line' : '';
+    case 'icon':
+      return iconPattern.test(value) ? '' : 'must be a Font Awesome icon name such as "fa-tasks"';
+    case 'markdown': {
+      const badLink = markdownLinks(value).find(url => !linkPattern.test(url));
+      return badLink ? `has a link to "${badLink}"; links must be http(s), mailto or on this site` : '';
+    }
+    default:
+      return '';
+  }
+}
+
+// -> list of error strings such as 'services.json entry 2: title is required'
+export function validateEntries(name, entries) {
+  const { file, fields } = contentSchema[name];
+  if (!Array.isArray(entries) || !entries.length) {
+    return [`${file}: must contain at least one entry`];
+  }
+
+  const errors = [];
+  const seen = Object.fromEntries(Object.keys(fields).map(fieldName => [fieldName, new Set()]));
+
+  entries.forEach((entry, index) => {
+    const where = `${file} entry ${index + 1}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+
+    // Catches typos, which would otherwise silently drop content
+    Object.keys(entry)
+      .filter(key => !Object.hasOwn(fields, key))
+      .forEach(key => errors.push(`${where}: unknown field "${key}"`));
+
+    Object.entries(fields).forEach(([fieldName, field]) => {
+      const value = entry[fieldName];
+      if (value === undefined || value === null || value === '') {
+        if (field.required) errors.push(`${where}: ${fieldName} is required`);
+        return;
+      }
+
+      const error = validateValue(field, value);
+      if (error) {
+        errors.push(`${where}: ${fieldName} ${error}`);
+      } else if (field.unique) {
+        const key = value.trim().toLowerCase();
+        if (seen[fieldName].has(key)) errors.push(`${where}: ${fieldName} "${value}" is used more than once`);
+        seen[fieldName].add(key);
+      }
+    });
+  });
+
+  return errors;
+}
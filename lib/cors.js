@@ -0,0 +1,55 @@
+import { config } from './config.js';
+
+// Turns an allowlist entry into a matcher. `*` stands for one DNS label.
+function originPattern(entry) {
+  const source = entry
+    .toLowerCase()
+    .replace(/\/+$/, '')
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '[a-z0-9-]+');
+  return new RegExp(`^${source}$`);
+}
+
+// Origin of the request: the Origin header, or the origin of the Referer
+export function requestOrigin(req) {
+  const origin = req.headers['origin'];
+  if (origin && origin !== 'null') return origin.toLowerCase();
+
+  try {
+    return req.headers['referer'] ? new URL(req.headers['referer']).origin.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+// The site's own host is always allowed, so every deployment can post to itself
+export function isOriginAllowed(origin, req, allowedOrigins = config.cors.allowedOrigins) {
+  try {
+    if (new URL(origin).host === req.headers['host']) return true;
+  } catch {
+    return false;
+  }
+  return allowedOrigins.some(entry => originPattern(entry).test(origin));
+}
+
+// Sets CORS headers for allowed origins and reports whether the request may
+// proceed. POSTs are checked against Origin or, failing that, Referer.
+//   -> { origin, allowed }
+export function applyCors(req, res, { methods, headers, settings = config.cors }) {
+  res.setHeader('Vary', 'Origin');
+
+  const origin = req.method === 'OPTIONS' ? req.headers['origin']?.toLowerCase() || null : requestOrigin(req);
+  if (!origin) {
+    return { origin, allowed: req.method !== 'OPTIONS' && settings.allowMissingOrigin };
+  }
+
+  const allowed = isOriginAllowed(origin, req, settings.allowedOrigins);
+  if (allowed && req.headers['origin']) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers['origin']);
+    res.setHeader('Access-Control-Allow-Methods', methods.join(', '));
+    res.setHeader('Access-Control-Allow-Headers', headers.join(', '));
+    res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After');
+    res.setHeader('Access-Control-Max-Age', '600');
+  }
+  return { origin, allowed };
+}
@@ -0,0 +1,10 @@
+import { encodeCsvCell } from './encoding.js';
+
+// columns: [{ header, value: row => any }]
+export function toCsv(rows, columns) {
+  const lines = [columns.map(column => encodeCsvCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => encodeCsvCell(column.value(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
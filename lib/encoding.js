@@ -0,0 +1,49 @@
+// Output encoding. Leads are stored exactly as submitted (validated, not
+// escaped); each output context encodes values on the way out.
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+// Text inside HTML element content or a quoted attribute value
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+// A single-line header value such as an email subject. Line breaks and other
+// control characters are what header injection relies on, so they become
+// spaces; the mail transport takes care of any RFC 2047 encoding.
+export function encodeHeader(value, maxLength = 200) {
+  const line = String(value ?? '')
+    .replace(/[\u0000-\u001f\u007f\u2028\u2029]+/g, ' ')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+  return line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+}
+
+// Spreadsheet apps run cells starting with these as formulas, so CSV cells
+// that do are prefixed with a quote (OWASP's recommendation)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export function encodeCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// User-supplied text in a log line, applied by logger.js before the line is
+// JSON-encoded. JSON.stringify escapes \r, \n and the other control
+// characters, but leaves NEL, U+2028 and U+2029 as they are, and some log
+// viewers break lines there; those are escaped here so one value can't forge
+// extra log lines. Long values are cut short.
+export function encodeLogValue(value, maxLength = 500) {
+  const text = String(value ?? '');
+  const short = text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+  return short.replace(/[\u0085\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
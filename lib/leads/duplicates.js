@@ -0,0 +1,53 @@
+import { config } from '../config.js';
+
+// Near-duplicate detection: people resubmitting the same request (often with
+// a typo fixed or a line added) shouldn't notify the team twice.
+
+function bigrams(text) {
+  const normalized = String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  const counts = new Map();
+  for (let i = 0; i < normalized.length - 1; i++) {
+    const gram = normalized.slice(i, i + 2);
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  return { normalized, counts, size: Math.max(0, normalized.length - 1) };
+}
+
+// Dice coefficient over character bigrams: 1 for the same text (ignoring
+// case, punctuation and spacing), falling towards 0 as the texts diverge
+export function textSimilarity(a, b) {
+  const first = bigrams(a);
+  const second = bigrams(b);
+  if (!first.size || !second.size) {
+    return first.normalized === second.normalized ? 1 : 0;
+  }
+
+  let shared = 0;
+  for (const [gram, count] of first.counts) {
+    shared += Math.min(count, second.counts.get(gram) || 0);
+  }
+  return (2 * shared) / (first.size + second.size);
+}
+
+// The earlier lead that `data` duplicates, or null. Only leads that reached
+// the team count: spam, other duplicates and leads whose notification failed
+// are skipped, so a chain of resubmissions all links back to the first one and
+// a retry after a failure goes through. A different consultation slot makes it
+// a new request.
+export function findDuplicateLead(leads, data, { now = Date.now(), settings = config.leads } = {}) {
+  const since = now - settings.duplicateWindowMs;
+  const email = data.email.toLowerCase();
+
+  return leads
+    .filter(lead =>
+      !lead.duplicateOf &&
+      !lead.spam?.flagged &&
+      lead.delivery?.notification !== 'failed' &&
+      Date.parse(lead.createdAt) >= since &&
+      lead.email?.toLowerCase() === email &&
+      lead.serviceInterest === data.serviceInterest &&
+      (!data.consultationSlot || data.consultationSlot === lead.consultationSlot) &&
+      textSimilarity(lead.message, data.message) * 100 >= settings.duplicateMinSimilarity
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+}
@@ -0,0 +1,39 @@
+import { readJsonFile, updateJsonFile } from '../storage/json-file.js';
+
+// Stores every lead in a single JSON file. Plenty for a contact form's volume.
+export function createFileStore(filePath) {
+  const empty = { leads: [] };
+
+  return {
+    create(lead) {
+      return updateJsonFile(filePath, empty, data => {
+        data.leads.push(lead);
+        return lead;
+      });
+    },
+
+    async get(id) {
+      const data = await readJsonFile(filePath, empty);
+      return data.leads.find(lead => lead.id === id) || null;
+    },
+
+    async findByIdempotencyKey(key) {
+      const data = await readJsonFile(filePath, empty);
+      return data.leads.findLast(lead => lead.idempotencyKey === key) || null;
+    },
+
+    async list() {
+      const data = await readJsonFile(filePath, empty);
+      return data.leads;
+    },
+
+    update(id, changes) {
+      return updateJsonFile(filePath, empty, data => {
+        const lead = data.leads.find(lead => lead.id === id);
+        if (!lead) return null;
+        Object.assign(lead, typeof changes === 'function' ? changes(structuredClone(lead)) : changes);
+        return lead;
+      });
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import { config } from '../config.js';
+import { createReference } from '../reference.js';
+import { createMemoryStore } from './memory-store.js';
+import { createFileStore } from './file-store.js';
+import { createRedisStore } from './redis-store.js';
+
+// Every store implements: create(lead), get(id), findByIdempotencyKey(key) (newest match), list(), update(id, changes)
+// `changes` may be a function of the current lead, run inside the store's lock
+// for read-modify-write updates; returning null leaves the lead as it is.
+// update resolves with the updated lead, or null if there is no such lead.
+export function createLeadStore(options = config.leads) {
+  switch (options.store) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(options.filePath);
+    case 'redis':
+      if (!options.redisUrl) {
+        throw new Error('REDIS_URL must be set when LEAD_STORE is "redis"');
+      }
+      return createRedisStore(options.redisUrl);
+    default:
+      throw new Error(`Unknown lead store: ${options.store}`);
+  }
+}
+
+let store = null;
+
+export function getLeadStore() {
+  if (!store) {
+    store = createLeadStore();
+  }
+  return store;
+}
+
+// Clients send an Idempotency-Key header per submission attempt so retries
+// (e.g. from the offline queue) can't create a second lead
+export function parseIdempotencyKey(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9_-]{16,100}$/.test(value) ? value : null;
+}
+
+export function buildLeadRecord({ data, clientIP, req, route, idempotencyKey = null }) {
+  return {
+    id: createReference(),
+    createdAt: new Date().toISOString(),
+    ...data,
+    idempotencyKey,
+    ip: clientIP,
+    route: route?.name || 'default',
+    meta: {
+      userAgent: req.headers['user-agent'] || '',
+      referer: req.headers['referer'] || '',
+      origin: req.headers['origin'] || '',
+    },
+    delivery: {
+      notification: 'pending',
+      confirmation: config.confirmation.enabled ? 'pending' : 'disabled',
+    },
+  };
+}
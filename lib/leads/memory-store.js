@@ -0,0 +1,32 @@
+// Per-instance lead store, for local development and tests
+export function createMemoryStore() {
+  const leads = new Map();
+
+  return {
+    async create(lead) {
+      leads.set(lead.id, structuredClone(lead));
+      return lead;
+    },
+
+    async get(id) {
+      const lead = leads.get(id);
+      return lead ? structuredClone(lead) : null;
+    },
+
+    async findByIdempotencyKey(key) {
+      const lead = [...leads.values()].findLast(lead => lead.idempotencyKey === key);
+      return lead ? structuredClone(lead) : null;
+    },
+
+    async list() {
+      return [...leads.values()].map(lead => structuredClone(lead));
+    },
+
+    async update(id, changes) {
+      const lead = leads.get(id);
+      if (!lead) return null;
+      Object.assign(lead, typeof changes === 'function' ? changes(structuredClone(lead)) : changes);
+      return structuredClone(lead);
+    },
+  };
+}
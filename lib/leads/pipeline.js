@@ -0,0 +1,91 @@
+// Follow-up tracking for the pipeline dashboard. Each lead carries
+//   pipeline: { status, owner, notes: [{ at, by, text }], activity: [{ at, by, type, from, to }], updatedAt }
+// Leads nobody has touched yet have no `pipeline` and get the defaults below.
+
+export const pipelineStatuses = [
+  { value: 'new', label: 'New' },
+  { value: 'contacted', label: 'Contacted' },
+  { value: 'consultation_booked', label: 'Consultation booked' },
+  { value: 'won', label: 'Won' },
+  { value: 'lost', label: 'Lost' },
+];
+
+const statusValues = pipelineStatuses.map(status => status.value);
+const maxNoteLength = 2000;
+
+export function pipelineOf(lead) {
+  return lead.pipeline || {
+    // A consultation picked on the form is already booked
+    status: lead.consultation ? 'consultation_booked' : 'new',
+    owner: null,
+    notes: [],
+    activity: [{ at: lead.createdAt, by: null, type: 'created' }],
+    updatedAt: null,
+  };
+}
+
+// Board card for a lead: what the pipeline view needs, without the message body
+export function pipelineSummary(lead) {
+  const { status, owner, notes, updatedAt } = pipelineOf(lead);
+  return {
+    id: lead.id,
+    createdAt: lead.createdAt,
+    name: lead.name,
+    email: lead.email,
+    businessType: lead.businessType,
+    serviceInterest: lead.serviceInterest,
+    consultation: lead.consultation || null,
+    status,
+    owner,
+    notes: notes.length,
+    duplicates: lead.duplicates?.length || 0,
+    updatedAt: updatedAt || lead.createdAt,
+  };
+}
+
+// Applies { status, owner, note } made by `by` (a staff name). Every change
+// is recorded in the activity history.
+//   -> { pipeline, changed } or { error }
+export function applyPipelineChanges(lead, changes, { by, owners, now = new Date() }) {
+  const pipeline = structuredClone(pipelineOf(lead));
+  const at = now.toISOString();
+  const before = pipeline.activity.length;
+
+  if (changes.status !== undefined) {
+    if (!statusValues.includes(changes.status)) {
+      return { error: `status must be one of: ${statusValues.join(', ')}` };
+    }
+    if (changes.status !== pipeline.status) {
+      pipeline.activity.push({ at, by, type: 'status', from: pipeline.status, to: changes.status });
+      pipeline.status = changes.status;
+    }
+  }
+
+  if (changes.owner !== undefined) {
+    const owner = changes.owner || null;
+    if (owner !== null && !owners.includes(owner)) {
+      return { error: `owner must be one of: ${owners.join(', ')}` };
+    }
+    if (owner !== pipeline.owner) {
+      pipeline.activity.push({ at, by, type: 'owner', from: pipeline.owner, to: owner });
+      pipeline.owner = owner;
+    }
+  }
+
+  if (changes.note !== undefined) {
+    const text = typeof changes.note === 'string'
+      ? changes.note.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, '').trim()
+      : '';
+    if (!text || text.length > maxNoteLength) {
+      return { error: `note must be 1 to ${maxNoteLength} characters` };
+    }
+    pipeline.notes.push({ at, by, text });
+    pipeline.activity.push({ at, by, type: 'note' });
+  }
+
+  const changed = pipeline.activity.length > before;
+  if (changed) {
+    pipeline.updatedAt = at;
+  }
+  return { pipeline, changed };
+}
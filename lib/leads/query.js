@@ -0,0 +1,107 @@
+import { businessTypeLabels, serviceInterestLabels } from '../../shared/form-schema.js';
+import { pipelineOf, pipelineStatuses } from './pipeline.js';
+
+export const maxPageSize = 100;
+
+function parseDate(value, endOfDay) {
+  if (!value) return null;
+  // Plain dates (YYYY-MM-DD) cover the whole day
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`)
+    : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+function parsePositiveInt(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+const queryParams = ['serviceInterest', 'businessType', 'from', 'to', 'q', 'page', 'pageSize', 'format'];
+
+// Turns raw query-string values into a filter, or returns { error }
+export function parseLeadQuery(query) {
+  // A repeated parameter (?q=a&q=b) arrives as an array
+  const repeated = queryParams.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} must be given once` };
+  }
+
+  const filter = {
+    serviceInterest: query.serviceInterest || '',
+    businessType: query.businessType, // '' is a valid filter value ("Not specified")
+    from: parseDate(query.from, false),
+    to: parseDate(query.to, true),
+    q: (query.q || '').trim().toLowerCase(),
+    page: parsePositiveInt(query.page, 1),
+    pageSize: parsePositiveInt(query.pageSize, 25),
+  };
+
+  if (filter.serviceInterest && !Object.hasOwn(serviceInterestLabels, filter.serviceInterest)) {
+    return { error: 'Invalid serviceInterest' };
+  }
+  if (filter.businessType !== undefined && !Object.hasOwn(businessTypeLabels, filter.businessType)) {
+    return { error: 'Invalid businessType' };
+  }
+  if (filter.from === undefined || filter.to === undefined) {
+    return { error: 'Invalid date range' };
+  }
+  if (filter.page === undefined || filter.pageSize === undefined || filter.pageSize > maxPageSize) {
+    return { error: `page must be a positive integer and pageSize between 1 and ${maxPageSize}` };
+  }
+
+  return { filter };
+}
+
+// Newest first
+export function filterLeads(leads, filter) {
+  return leads
+    .filter(lead => {
+      if (filter.serviceInterest && lead.serviceInterest !== filter.serviceInterest) return false;
+      if (filter.businessType !== undefined && lead.businessType !== filter.businessType) return false;
+
+      const createdAt = new Date(lead.createdAt);
+      if (filter.from && createdAt < filter.from) return false;
+      if (filter.to && createdAt > filter.to) return false;
+
+      if (filter.q) {
+        const haystack = [lead.id, lead.name, lead.email, lead.message].join(' ').toLowerCase();
+        if (!haystack.includes(filter.q)) return false;
+      }
+      return true;
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export function paginate(items, page, pageSize) {
+  const start = (page - 1) * pageSize;
+  return {
+    items: items.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: items.length,
+    totalPages: Math.ceil(items.length / pageSize),
+  };
+}
+
+export const leadCsvColumns = [
+  { header: 'Reference', value: lead => lead.id },
+  { header: 'Submitted At', value: lead => lead.createdAt },
+  { header: 'Name', value: lead => lead.name },
+  { header: 'Email', value: lead => lead.email },
+  { header: 'Business Type', value: lead => businessTypeLabels[lead.businessType] },
+  { header: 'Service Interest', value: lead => serviceInterestLabels[lead.serviceInterest] },
+  { header: 'Message', value: lead => lead.message },
+  { header: 'Time Zone', value: lead => lead.timeZone },
+  { header: 'Support Hours', value: lead => (lead.supportStart ? `${lead.supportStart}-${lead.supportEnd}` : '') },
+  { header: 'IP Address', value: lead => lead.ip },
+  { header: 'Estimated Monthly Cost', value: lead => lead.estimate?.monthlyCost },
+  { header: 'Estimated Monthly Savings', value: lead => lead.estimate?.monthlySavings },
+  { header: 'Notification', value: lead => lead.delivery?.notification },
+  { header: 'Spam Score', value: lead => lead.spam?.score },
+  { header: 'Flagged As Spam', value: lead => (lead.spam?.flagged ? 'yes' : 'no') },
+  { header: 'Duplicate Of', value: lead => lead.duplicateOf },
+  { header: 'Pipeline Status', value: lead => pipelineStatuses.find(status => status.value === pipelineOf(lead).status)?.label },
+  { header: 'Owner', value: lead => pipelineOf(lead).owner },
+];
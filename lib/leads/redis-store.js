@@ -0,0 +1,34 @@
+import { createRedisClient } from '../redis/client.js';
+import { createRecordStore } from '../redis/records.js';
+
+// Leads in Redis, shared by every serverless instance (see lib/redis/records.js)
+export function createRedisStore(url) {
+  const records = createRecordStore(createRedisClient(url), 'leads');
+
+  // Oldest first, like the file store
+  async function list() {
+    return (await records.list()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  return {
+    create: records.create,
+    get: records.get,
+    list,
+
+    async findByIdempotencyKey(key) {
+      return (await list()).findLast(lead => lead.idempotencyKey === key) || null;
+    },
+
+    update(id, changes) {
+      if (typeof changes !== 'function') {
+        return records.update(id, changes);
+      }
+
+      return records.withLock(id, async () => {
+        const lead = await records.get(id);
+        if (!lead) return null;
+        return records.update(id, changes(lead) || {});
+      });
+    },
+  };
+}
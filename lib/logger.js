@@ -0,0 +1,119 @@
+import { createHmac, randomUUID } from 'node:crypto';
+import { config } from './config.js';
+import { encodeLogValue } from './encoding.js';
+
+// Structured JSON logging: one line per event, e.g.
+//   {"time":"...","level":"info","event":"sent","requestId":"...","leadId":"SS-..."}
+// Top-level fields named after a redaction rule (email, name, ip) are hashed,
+// masked or dropped, following config.logging.redact, so log personal data
+// under exactly those keys.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const MAX_STRING_LENGTH = 500;
+
+function hashValue(value, salt) {
+  return createHmac('sha256', salt).update(String(value).toLowerCase()).digest('hex').slice(0, 16);
+}
+
+function maskValue(field, value) {
+  const text = String(value);
+  switch (field) {
+    case 'email': {
+      const [local, domain] = text.split('@');
+      return domain ? `${local.slice(0, 1)}***@${domain}` : '***';
+    }
+    case 'ip':
+      // Keep the network, drop the host: 203.0.113.10 -> 203.0.113.0, 2001:db8:1:2::5 -> 2001:db8:1::
+      return text.includes(':') ? `${text.split(':').slice(0, 3).join(':')}::` : text.replace(/\.\d+$/, '.0');
+    default:
+      return `${text.slice(0, 1)}***`;
+  }
+}
+
+export function redactValue(field, value, settings = config.logging) {
+  const rule = settings.redact[field];
+  if (!rule || rule === 'keep' || value === undefined || value === null || value === '') return value;
+
+  switch (rule) {
+    case 'hash':
+      return `sha256:${hashValue(value, settings.hashSalt)}`;
+    case 'mask':
+      return maskValue(field, value);
+    case 'remove':
+      return undefined;
+    default:
+      throw new Error(`Unknown log redaction rule for ${field}: ${rule}`);
+  }
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.statusCode ? { statusCode: error.statusCode } : {}),
+    ...(error.transport ? { transport: error.transport } : {}),
+    ...(Array.isArray(error.errors) && error.errors.length ? { errors: error.errors.map(serializeError) } : {}),
+  };
+}
+
+function prepare(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return encodeLogValue(value, MAX_STRING_LENGTH);
+  if (!value || typeof value !== 'object' || depth > 4) return value;
+  if (Array.isArray(value)) return value.map(item => prepare(item, depth + 1));
+
+  const prepared = {};
+  for (const [key, item] of Object.entries(value)) {
+    prepared[key] = prepare(item, depth + 1);
+  }
+  return prepared;
+}
+
+function redactFields(fields, settings) {
+  const redacted = { ...fields };
+  for (const field of Object.keys(settings.redact)) {
+    if (Object.hasOwn(redacted, field)) {
+      redacted[field] = redactValue(field, redacted[field], settings);
+    }
+  }
+  return redacted;
+}
+
+export function createLogger(bindings = {}, settings = config.logging) {
+  const threshold = LEVELS[settings.level] ?? LEVELS.info;
+
+  function write(level, event, fields = {}) {
+    if (LEVELS[level] < threshold) return;
+
+    const entry = prepare(redactFields({ time: new Date().toISOString(), level, event, ...bindings, ...fields }, settings));
+    const line = JSON.stringify(entry);
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  return {
+    debug: (event, fields) => write('debug', event, fields),
+    info: (event, fields) => write('info', event, fields),
+    warn: (event, fields) => write('warn', event, fields),
+    error: (event, fields) => write('error', event, fields),
+    child: extra => createLogger({ ...bindings, ...extra }, settings),
+  };
+}
+
+export const logger = createLogger();
+
+// Request-scoped logger. Reuses a sane incoming X-Request-Id (e.g. from a
+// proxy) or makes one, and echoes it in the response so users can quote it.
+export function createRequestLogger(req, res) {
+  const incoming = req.headers['x-request-id'];
+  const requestId = typeof incoming === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(incoming) ? incoming : randomUUID();
+
+  res.setHeader('X-Request-Id', requestId);
+  return logger.child({ requestId });
+}
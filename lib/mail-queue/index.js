@@ -0,0 +1,185 @@
+import { randomUUID } from 'node:crypto';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+import { backoffDelay } from '../backoff.js';
+import { encodeHeader } from '../encoding.js';
+import { sendMail } from '../mail/index.js';
+import { getLeadStore } from '../leads/index.js';
+import { createRetryQueueStore } from '../retry-queue/index.js';
+
+// Dead-letter queue for emails that failed to send. Transient failures are
+// retried with exponential backoff by the retry job (api/retry-emails.js or
+// `npm run emails:retry`). Permanent failures, and messages that run out of
+// attempts, are marked failed, listed by /api/mail-queue and alerted to
+// MAIL_ALERT_TO.
+
+// See lib/retry-queue for the stores
+export function createMailQueueStore(options = config.mailQueue) {
+  return createRetryQueueStore(options, { env: 'MAIL_QUEUE_STORE', collection: 'entries', redisPrefix: 'mailqueue' });
+}
+
+let store = null;
+
+export function getMailQueueStore() {
+  if (!store) {
+    store = createMailQueueStore();
+  }
+  return store;
+}
+
+// Attachments are Buffers; the queue keeps them as base64 so entries survive JSON
+function serializeMessage(message) {
+  return {
+    ...message,
+    attachments: message.attachments?.map(attachment => ({
+      ...attachment,
+      content: Buffer.from(attachment.content).toString('base64'),
+    })),
+  };
+}
+
+function deserializeMessage(message) {
+  return {
+    ...message,
+    attachments: message.attachments?.map(attachment => ({
+      ...attachment,
+      content: Buffer.from(attachment.content, 'base64'),
+    })),
+  };
+}
+
+function describeError(error) {
+  return error.errors?.length
+    ? error.errors.map(({ transport, message }) => (transport ? `${transport}: ${message}` : message)).join('; ')
+    : error.message;
+}
+
+// Records a failed attempt and decides what happens next
+function afterFailure(entry, error, now, settings) {
+  const transient = error.transient !== false;
+  const attempts = [...entry.attempts, { at: new Date(now).toISOString(), error: describeError(error), transient }];
+
+  if (!transient || attempts.length >= settings.maxAttempts) {
+    return { attempts, status: 'failed', nextAttemptAt: null };
+  }
+  return { attempts, status: 'retrying', nextAttemptAt: new Date(now + backoffDelay(attempts.length, settings)).toISOString() };
+}
+
+async function sendFailureAlert(entry, { log, settings }) {
+  if (!settings.alertTo.length) return;
+
+  try {
+    const result = await sendMail({
+      to: settings.alertTo,
+      subject: encodeHeader(`Email not delivered: ${entry.subject}`),
+      text: [
+        'An email could not be delivered and will not be retried.',
+        '',
+        `Lead: ${entry.leadId || '-'}`,
+        `Email: ${entry.kind}`,
+        `Subject: ${entry.subject}`,
+        `Attempts: ${entry.attempts.length}`,
+        `Last error: ${entry.attempts.at(-1)?.error || '-'}`,
+        '',
+        `The lead is still saved (see /api/leads). Queue entry ${entry.id} is listed at /api/mail-queue?status=failed.`,
+      ].join('\n'),
+    }, { log });
+    log.info('sent', { leadId: entry.leadId, kind: 'alert', queueId: entry.id, transport: result.transport, messageId: result.id });
+  } catch (error) {
+    log.error('send_failed', { leadId: entry.leadId, kind: 'alert', queueId: entry.id, error });
+  }
+}
+
+// Copies the final outcome of a retried email onto the lead's delivery status
+async function updateLeadDelivery(entry, log) {
+  if (!entry.leadId) return;
+
+  try {
+    await getLeadStore().update(entry.leadId, lead => ({ delivery: { ...lead.delivery, [entry.kind]: entry.status } }));
+  } catch (error) {
+    log.error('store_error', { store: 'leads', leadId: entry.leadId, error });
+  }
+}
+
+async function reportFailure(entry, { log, settings }) {
+  const fields = { queueId: entry.id, leadId: entry.leadId, kind: entry.kind, attempt: entry.attempts.length, error: entry.attempts.at(-1).error };
+
+  if (entry.status === 'retrying') {
+    log.warn('mail_queued', { ...fields, nextAttemptAt: entry.nextAttemptAt });
+  } else {
+    log.error('mail_failed', { ...fields, transient: entry.attempts.at(-1).transient });
+    await sendFailureAlert(entry, { log, settings });
+  }
+}
+
+// Puts an email that just failed to send (`error` from sendMail) on the queue.
+// kind: notification | confirmation. Resolves with the entry, whose status is
+// retrying or (for a permanent error) failed, or with null if it couldn't be
+// stored. Never throws.
+export async function queueFailedMail({ kind, leadId = null, message, error, log = logger, settings = config.mailQueue }) {
+  const now = Date.now();
+  const entry = {
+    id: `mq_${randomUUID()}`,
+    kind,
+    leadId,
+    subject: message.subject,
+    status: 'retrying',
+    createdAt: new Date(now).toISOString(),
+    attempts: [],
+    nextAttemptAt: null,
+    sentAt: null,
+    message: serializeMessage(message),
+  };
+  Object.assign(entry, afterFailure(entry, error, now, settings));
+
+  try {
+    await getMailQueueStore().create(entry);
+  } catch (storeError) {
+    log.error('store_error', { store: 'mail-queue', leadId, error: storeError });
+    return null;
+  }
+
+  await reportFailure(entry, { log, settings });
+  return entry;
+}
+
+// Resends every queued email whose backoff has run out.
+//   -> { attempted, sent, retrying, failed }
+export async function retryQueuedMail({ now = Date.now(), log = logger, settings = config.mailQueue } = {}) {
+  const summary = { attempted: 0, sent: 0, retrying: 0, failed: 0 };
+  const queue = getMailQueueStore();
+
+  // Long enough for a slow SMTP exchange to finish before another run may claim it again
+  const due = await queue.claimDue(now, 10 * 60 * 1000);
+  for (const entry of due) {
+    let changes;
+    try {
+      const result = await sendMail(deserializeMessage(entry.message), { log });
+      log.info('sent', {
+        leadId: entry.leadId,
+        kind: entry.kind,
+        queueId: entry.id,
+        attempt: entry.attempts.length + 1,
+        transport: result.transport,
+        messageId: result.id,
+      });
+      // The message body (and attachments) isn't needed once it's out
+      changes = { status: 'sent', sentAt: new Date().toISOString(), nextAttemptAt: null, message: null };
+    } catch (error) {
+      changes = afterFailure(entry, error, Date.now(), settings);
+    }
+
+    const updated = { ...entry, ...changes };
+    await queue.update(entry.id, changes);
+    if (updated.status !== 'sent') {
+      await reportFailure(updated, { log, settings });
+    }
+    if (updated.status !== 'retrying') {
+      await updateLeadDelivery(updated, log);
+    }
+
+    summary.attempted += 1;
+    summary[updated.status] += 1;
+  }
+  return summary;
+}
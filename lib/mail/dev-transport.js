@@ -0,0 +1,41 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+// Never sends anything: writes each rendered message to the outbox dir or stdout
+export function createDevTransport({ output, dir }) {
+  return {
+    name: 'dev',
+
+    isConfigured() {
+      return true;
+    },
+
+    async send(message) {
+      const id = `${Date.now()}-${randomUUID().slice(0, 8)}`;
+      const summary = {
+        id,
+        from: message.from,
+        to: message.to,
+        cc: message.cc,
+        bcc: message.bcc,
+        replyTo: message.replyTo,
+        subject: message.subject,
+        attachments: message.attachments?.map(({ filename, contentType }) => ({ filename, contentType })),
+      };
+
+      if (output === 'stdout') {
+        console.log('[dev mail]', JSON.stringify(summary, null, 2));
+        console.log(message.text || message.html);
+        return { id };
+      }
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ ...summary, text: message.text }, null, 2));
+      if (message.html) {
+        await fs.writeFile(path.join(dir, `${id}.html`), message.html);
+      }
+      return { id };
+    },
+  };
+}
@@ -0,0 +1,11 @@
+// `transient` says whether trying again later could succeed. Errors that are
+// the message's own fault (bad address, invalid field) are not transient.
+export class MailError extends Error {
+  constructor(message, { transport, cause, errors, transient = true } = {}) {
+    super(message, { cause });
+    this.name = 'MailError';
+    this.transport = transport;
+    this.errors = errors || [];
+    this.transient = transient;
+  }
+}
@@ -0,0 +1,56 @@
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+import { MailError } from './errors.js';
+import { createResendTransport } from './resend-transport.js';
+import { createSmtpTransport } from './smtp-transport.js';
+import { createDevTransport } from './dev-transport.js';
+
+export { MailError };
+
+const factories = {
+  resend: () => createResendTransport(config.mail.resend),
+  smtp: () => createSmtpTransport(config.mail.smtp),
+  dev: () => createDevTransport(config.mail.dev),
+};
+
+let transports = null;
+
+// Transports from MAIL_TRANSPORTS, in fallback order. Unconfigured ones are skipped.
+function getTransports() {
+  if (!transports) {
+    transports = config.mail.transports.map(name => {
+      if (!factories[name]) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+      return factories[name]();
+    });
+  }
+  return transports.filter(transport => transport.isConfigured());
+}
+
+export function hasMailTransport() {
+  return getTransports().length > 0;
+}
+
+// message: { from, to, cc, bcc, replyTo, subject, html, text, attachments }
+// Tries each transport in turn and resolves with { transport, id } from the first that succeeds.
+// Pass a request logger as `log` so transport errors carry the request ID.
+export async function sendMail(message, { log = logger } = {}) {
+  const errors = [];
+
+  for (const transport of getTransports()) {
+    try {
+      const result = await transport.send({ from: config.mail.from, ...message });
+      return { transport: transport.name, ...result };
+    } catch (error) {
+      log.warn('transport_error', { transport: transport.name, error });
+      errors.push(error);
+    }
+  }
+
+  // Worth retrying as long as any transport might still take the message
+  throw new MailError(errors.length ? 'All mail transports failed' : 'No mail transport configured', {
+    errors,
+    transient: !errors.length || errors.some(error => error.transient !== false),
+  });
+}
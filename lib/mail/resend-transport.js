@@ -0,0 +1,46 @@
+import { Resend } from 'resend';
+import { MailError } from './errors.js';
+
+// Resend rejections that resending the same message can't fix
+const permanentErrors = new Set(['validation_error', 'missing_required_field', 'invalid_parameter', 'invalid_from_address']);
+
+export function createResendTransport({ apiKey }) {
+  let resend = null;
+
+  return {
+    name: 'resend',
+
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+
+    async send(message) {
+      if (!resend) {
+        resend = new Resend(apiKey);
+      }
+
+      const { data, error } = await resend.emails.send({
+        from: message.from,
+        to: message.to,
+        cc: message.cc,
+        bcc: message.bcc,
+        reply_to: message.replyTo,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        // content_type keeps e.g. the invite's `method=REQUEST`, which Resend
+        // wouldn't derive from the filename
+        attachments: message.attachments?.map(({ filename, content, contentType }) => ({ filename, content, content_type: contentType })),
+      });
+
+      if (error) {
+        throw new MailError(error.message || 'Resend request failed', {
+          transport: 'resend',
+          cause: error,
+          transient: !permanentErrors.has(error.name),
+        });
+      }
+      return { id: data?.id };
+    },
+  };
+}
@@ -0,0 +1,47 @@
+import nodemailer from 'nodemailer';
+import { MailError } from './errors.js';
+
+export function createSmtpTransport({ host, port, secure, user, pass }) {
+  let transporter = null;
+
+  return {
+    name: 'smtp',
+
+    isConfigured() {
+      return Boolean(host);
+    },
+
+    async send(message) {
+      if (!transporter) {
+        transporter = nodemailer.createTransport({
+          host,
+          port,
+          secure,
+          auth: user ? { user, pass } : undefined,
+        });
+      }
+
+      try {
+        const info = await transporter.sendMail({
+          from: message.from,
+          to: message.to,
+          cc: message.cc,
+          bcc: message.bcc,
+          replyTo: message.replyTo,
+          subject: message.subject,
+          html: message.html,
+          text: message.text,
+          attachments: message.attachments,
+        });
+        return { id: info.messageId };
+      } catch (error) {
+        // 5xx replies are permanent rejections; 4xx and connection errors may pass later
+        throw new MailError(error.message || 'SMTP send failed', {
+          transport: 'smtp',
+          cause: error,
+          transient: !(error.responseCode >= 500),
+        });
+      }
+    },
+  };
+}
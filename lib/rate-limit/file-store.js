@@ -0,0 +1,21 @@
+import { updateJsonFile } from '../storage/json-file.js';
+import { applySlidingWindow } from './sliding-window.js';
+
+// Persists timestamps to a JSON file so limits survive restarts on the same host
+export function createFileStore(filePath) {
+  return {
+    hit(key, { limit, windowMs, now = Date.now() }) {
+      return updateJsonFile(filePath, {}, data => {
+        for (const [storedKey, entry] of Object.entries(data)) {
+          if (entry.expiresAt <= now) {
+            delete data[storedKey];
+          }
+        }
+
+        const { entry, result } = applySlidingWindow(data[key], { limit, windowMs, now });
+        data[key] = entry;
+        return result;
+      });
+    },
+  };
+}
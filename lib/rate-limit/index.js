@@ -0,0 +1,58 @@
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+import { createMemoryStore } from './memory-store.js';
+import { createFileStore } from './file-store.js';
+import { createRedisStore } from './redis-store.js';
+
+// Every store implements: hit(key, { limit, windowMs, now }) -> { allowed, count, resetAt }
+export function createRateLimitStore(options = config.rateLimit) {
+  switch (options.store) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(options.filePath);
+    case 'redis':
+      if (!options.redisUrl) {
+        throw new Error('REDIS_URL must be set when RATE_LIMIT_STORE is "redis"');
+      }
+      return createRedisStore(options.redisUrl);
+    default:
+      throw new Error(`Unknown rate limit store: ${options.store}`);
+  }
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = createRateLimitStore();
+  }
+  return store;
+}
+
+export async function rateLimit(key, limit) {
+  const { windowMs } = config.rateLimit;
+
+  try {
+    const result = await getStore().hit(key, { limit, windowMs, now: Date.now() });
+    return { ...result, limit, windowMs, remaining: Math.max(0, limit - result.count) };
+  } catch (error) {
+    // Fail open: an unavailable store should not block real leads
+    logger.error('store_error', { store: 'rate_limit', error });
+    return { allowed: true, limit, windowMs, remaining: limit, count: 0, resetAt: Date.now() + windowMs };
+  }
+}
+
+// IETF RateLimit header fields, plus Retry-After when the request was rejected
+export function setRateLimitHeaders(res, result) {
+  const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+
+  res.setHeader('RateLimit-Policy', `${result.limit};w=${Math.ceil(result.windowMs / 1000)}`);
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(resetSeconds));
+
+  if (!result.allowed) {
+    res.setHeader('Retry-After', String(resetSeconds));
+  }
+}
@@ -0,0 +1,25 @@
+import { applySlidingWindow } from './sliding-window.js';
+
+// Per-instance store. Resets on cold start, fine for local development.
+export function createMemoryStore() {
+  const entries = new Map();
+
+  // Clean up expired entries every hour
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries.entries()) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, 60 * 60 * 1000);
+  cleanup.unref?.();
+
+  return {
+    async hit(key, { limit, windowMs, now = Date.now() }) {
+      const { entry, result } = applySlidingWindow(entries.get(key), { limit, windowMs, now });
+      entries.set(key, entry);
+      return result;
+    },
+  };
+}
@@ -0,0 +1,33 @@
+import { randomUUID } from 'node:crypto';
+import { createRedisClient } from '../redis/client.js';
+
+// Sorted set per key (score = request time), shared by every serverless instance.
+// The request is added before it is counted, in one MULTI, so two instances
+// can't both see a count under the limit; a rejected request takes its entry
+// back out afterwards.
+export function createRedisStore(url) {
+  const client = createRedisClient(url);
+
+  return {
+    async hit(key, { limit, windowMs, now = Date.now() }) {
+      const redisKey = `ratelimit:${key}`;
+      const member = `${now}-${randomUUID()}`;
+
+      const [, , count, oldest] = await client.multi([
+        ['ZREMRANGEBYSCORE', redisKey, '-inf', now - windowMs],
+        ['ZADD', redisKey, now, member],
+        ['ZCARD', redisKey],
+        ['ZRANGE', redisKey, 0, 0, 'WITHSCORES'],
+        ['PEXPIRE', redisKey, windowMs],
+      ]);
+      const resetAt = (oldest.length ? Number(oldest[1]) : now) + windowMs;
+
+      if (count > limit) {
+        await client.command(['ZREM', redisKey, member]);
+        return { allowed: false, count: count - 1, resetAt };
+      }
+
+      return { allowed: true, count, resetAt };
+    },
+  };
+}
@@ -0,0 +1,15 @@
+// Shared sliding-log logic for stores that keep raw timestamps per key
+export function applySlidingWindow(entry, { limit, windowMs, now }) {
+  const windowStart = now - windowMs;
+  const timestamps = (entry?.timestamps || []).filter(time => time > windowStart);
+  const allowed = timestamps.length < limit;
+
+  if (allowed) {
+    timestamps.push(now);
+  }
+
+  return {
+    entry: { timestamps, expiresAt: timestamps[timestamps.length - 1] + windowMs },
+    result: { allowed, count: timestamps.length, resetAt: timestamps[0] + windowMs },
+  };
+}
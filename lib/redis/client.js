@@ -0,0 +1,166 @@
+import net from 'node:net';
+import tls from 'node:tls';
+
+// Minimal RESP2 client: enough for the handful of commands our stores need,
+// and it talks to anything that speaks the Redis protocol (Redis, Valkey,
+// Upstash, KeyDB or a local stand-in).
+
+export class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+function encodeCommand(args) {
+  let encoded = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    encoded += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return encoded;
+}
+
+// Returns { value, offset } or null if the buffer doesn't hold a full reply yet
+function parseReply(buffer, start) {
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let offset = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, offset);
+        if (!item) return null;
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type: ${type}`);
+  }
+}
+
+export function createRedisClient(url, { timeoutMs = 5000 } = {}) {
+  const { protocol, hostname, port, username, password, pathname } = new URL(url);
+  const db = pathname.slice(1);
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+  let ready = null; // AUTH and SELECT for the current connection
+
+  function failPending(error) {
+    const waiting = pending;
+    pending = [];
+    waiting.forEach(({ reject }) => reject(error));
+  }
+
+  function connect() {
+    const options = { host: hostname, port: Number(port) || 6379 };
+    socket = protocol === 'rediss:' ? tls.connect({ ...options, servername: hostname }) : net.connect(options);
+    buffer = Buffer.alloc(0);
+
+    socket.setTimeout(timeoutMs);
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        let reply;
+        while (pending.length && (reply = parseReply(buffer, 0))) {
+          buffer = buffer.subarray(reply.offset);
+          const { resolve, reject } = pending.shift();
+          reply.value instanceof RedisError ? reject(reply.value) : resolve(reply.value);
+        }
+
+        // Don't keep the process (or a warm lambda) alive just for an idle connection
+        if (!pending.length) socket.unref();
+      } catch (error) {
+        socket.destroy(error);
+      }
+    });
+
+    socket.on('timeout', () => {
+      socket.destroy(pending.length ? new RedisError('Connection timed out') : undefined);
+    });
+
+    const current = socket;
+    socket.on('error', error => failPending(error));
+    socket.on('close', () => {
+      if (socket === current) socket = null;
+      failPending(new RedisError('Connection closed'));
+    });
+
+    const handshake = [];
+    if (password) {
+      handshake.push(send(username ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)] : ['AUTH', decodeURIComponent(password)]));
+    }
+    if (db) {
+      handshake.push(send(['SELECT', db]));
+    }
+
+    // A rejected password or database index fails the commands waiting on it
+    // (rather than letting them run unauthenticated or against database 0),
+    // and the connection is dropped so the next command starts over
+    ready = Promise.all(handshake).catch(error => {
+      current.destroy();
+      throw error;
+    });
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.ref();
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  async function command(args) {
+    if (!socket) connect();
+    await ready;
+    if (!socket) throw new RedisError('Connection closed');
+    return send(args);
+  }
+
+  // Runs the commands inside MULTI/EXEC and resolves with the EXEC results
+  async function multi(commands) {
+    const replies = await Promise.all([
+      command(['MULTI']),
+      ...commands.map(args => command(args)),
+      command(['EXEC']),
+    ]);
+    const results = replies[replies.length - 1];
+
+    const failed = results.find(result => result instanceof RedisError);
+    if (failed) throw failed;
+    return results;
+  }
+
+  function quit() {
+    if (socket) socket.end();
+  }
+
+  return { command, multi, quit };
+}
@@ -0,0 +1,84 @@
+import { RedisError } from './client.js';
+
+// JSON records in Redis for the stores that must be shared by every serverless
+// instance. Each record is a hash with one field per top-level property (the
+// value JSON-encoded), and `<prefix>:ids` is the set of record ids.
+// update() writes only the properties it is given, in one HSET, so two
+// instances updating different properties of a record don't overwrite each
+// other: the same merge as Object.assign in the file stores.
+
+function decode(fields) {
+  if (!fields?.length) return null;
+  const record = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    record[fields[i]] = JSON.parse(fields[i + 1]);
+  }
+  return record;
+}
+
+// -> HSET/HDEL commands for `changes`; undefined properties are removed, as
+// JSON.stringify drops them from a file store
+function writeCommands(key, changes) {
+  const entries = Object.entries(changes);
+  const set = entries.filter(([, value]) => value !== undefined).flatMap(([name, value]) => [name, JSON.stringify(value)]);
+  const removed = entries.filter(([, value]) => value === undefined).map(([name]) => name);
+  return [
+    ...(set.length ? [['HSET', key, ...set]] : []),
+    ...(removed.length ? [['HDEL', key, ...removed]] : []),
+  ];
+}
+
+export function createRecordStore(client, prefix) {
+  const idsKey = `${prefix}:ids`;
+  const recordKey = id => `${prefix}:record:${id}`;
+
+  async function get(id) {
+    return decode(await client.command(['HGETALL', recordKey(id)]));
+  }
+
+  return {
+    async create(record) {
+      await client.multi([...writeCommands(recordKey(record.id), record), ['SADD', idsKey, record.id]]);
+      return record;
+    },
+
+    get,
+
+    async list() {
+      const ids = await client.command(['SMEMBERS', idsKey]);
+      return (await Promise.all(ids.map(get))).filter(Boolean);
+    },
+
+    // Records are never deleted, so one that exists now still exists for the HSET
+    async update(id, changes) {
+      const key = recordKey(id);
+      if (!(await client.command(['EXISTS', key]))) return null;
+
+      const results = await client.multi([...writeCommands(key, changes), ['HGETALL', key]]);
+      return decode(results.at(-1));
+    },
+
+    // Takes a lease on the record for `ms`: true for exactly one caller until
+    // it runs out, whichever instance asks
+    async lease(id, ms) {
+      return (await client.command(['SET', `${prefix}:lease:${id}`, '1', 'PX', ms, 'NX'])) === 'OK';
+    },
+
+    // Runs fn() holding a lock on the record, for read-modify-write updates.
+    // The lock expires after `ttlMs` in case its holder dies mid-update.
+    async withLock(id, fn, { ttlMs = 10000, waitMs = 5000 } = {}) {
+      const key = `${prefix}:lock:${id}`;
+      const deadline = Date.now() + waitMs;
+      while ((await client.command(['SET', key, '1', 'PX', ttlMs, 'NX'])) !== 'OK') {
+        if (Date.now() > deadline) throw new RedisError(`Timed out waiting for the lock on ${key}`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      try {
+        return await fn();
+      } finally {
+        await client.command(['DEL', key]);
+      }
+    },
+  };
+}
@@ -0,0 +1,8 @@
+import { randomBytes } from 'node:crypto';
+
+// Human-friendly reference number, e.g. SS-20250114-3F9A1C
+export function createReference(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = randomBytes(3).toString('hex').toUpperCase();
+  return `SS-${day}-${suffix}`;
+}
@@ -0,0 +1,48 @@
+import { readJsonFile, updateJsonFile } from '../storage/json-file.js';
+
+// Retry queue in a single JSON file, as { [collection]: [entry] }
+export function createFileStore(filePath, collection = 'entries') {
+  const empty = { [collection]: [] };
+
+  return {
+    create(entry) {
+      return updateJsonFile(filePath, empty, data => {
+        data[collection].push(entry);
+        return entry;
+      });
+    },
+
+    async get(id) {
+      const data = await readJsonFile(filePath, empty);
+      return data[collection].find(entry => entry.id === id) || null;
+    },
+
+    async list() {
+      const data = await readJsonFile(filePath, empty);
+      return data[collection];
+    },
+
+    update(id, changes) {
+      return updateJsonFile(filePath, empty, data => {
+        const entry = data[collection].find(entry => entry.id === id);
+        if (!entry) return null;
+        Object.assign(entry, changes);
+        return entry;
+      });
+    },
+
+    // Claims retries that are due by pushing them `leaseMs` into the future,
+    // under the file lock, so overlapping job runs don't send them twice
+    claimDue(now, leaseMs) {
+      return updateJsonFile(filePath, empty, data => {
+        const due = data[collection].filter(entry =>
+          entry.status === 'retrying' && Date.parse(entry.nextAttemptAt) <= now
+        );
+        due.forEach(entry => {
+          entry.nextAttemptAt = new Date(now + leaseMs).toISOString();
+        });
+        return structuredClone(due);
+      });
+    },
+  };
+}
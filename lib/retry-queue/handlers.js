@@ -0,0 +1,97 @@
+import { config } from '../config.js';
+import { setSecurityHeaders } from '../http.js';
+import { createRequestLogger } from '../logger.js';
+import { hasBearerToken } from '../auth.js';
+
+// The two API endpoints every retry queue has: its status listing for the ops
+// team and the retry job for the scheduler. api/mail-queue.js, api/webhooks.js,
+// api/retry-emails.js and api/retry-webhooks.js are these with their settings.
+
+// Lists the queue newest first, without the field holding the body (`omit`).
+// `counts` covers the whole queue, so monitoring can alert on counts.failed.
+//   GET ?status=&leadId=&limit= -> { counts, [listName]: [entry], total }
+export function createQueueListHandler({ getStore, statuses, listName, omit, store }) {
+  return async function handler(req, res) {
+    setSecurityHeaders(res);
+    const log = createRequestLogger(req, res);
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!config.admin.apiToken) {
+      log.error('config_error', { message: 'LEADS_API_TOKEN is not set' });
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    if (!hasBearerToken(req, config.admin.apiToken)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const query = req.query || {};
+    if (query.status && !statuses.includes(query.status)) {
+      return res.status(400).json({ error: `status must be one of: ${statuses.join(', ')}` });
+    }
+
+    const limit = query.limit === undefined ? 100 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'limit must be a whole number from 1 to 500' });
+    }
+
+    try {
+      const all = await getStore().list();
+      const counts = Object.fromEntries(statuses.map(status => [status, all.filter(entry => entry.status === status).length]));
+      const entries = all
+        .filter(entry => !query.status || entry.status === query.status)
+        .filter(entry => !query.leadId || entry.leadId === query.leadId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+      return res.status(200).json({
+        counts,
+        [listName]: entries.slice(0, limit).map(({ [omit]: body, ...entry }) => entry),
+        total: entries.length,
+      });
+    } catch (error) {
+      log.error('store_error', { store, error });
+      return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+    }
+  };
+}
+
+// Runs `run({ log })` for a scheduler such as Vercel Cron (which calls it with
+// GET and CRON_SECRET) and responds with its summary, logged as `event`
+//   GET|POST -> summary
+export function createRetryJobHandler({ run, event, store }) {
+  return async function handler(req, res) {
+    setSecurityHeaders(res);
+    const log = createRequestLogger(req, res);
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!config.admin.jobToken) {
+      log.error('config_error', { message: 'JOBS_TOKEN (or CRON_SECRET) is not set' });
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    if (!hasBearerToken(req, config.admin.jobToken)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      const summary = await run({ log });
+      log.info(event, summary);
+      return res.status(200).json(summary);
+    } catch (error) {
+      log.error('store_error', { store, error });
+      return res.status(500).json({ error: 'Internal server error. Please try again later.' });
+    }
+  };
+}
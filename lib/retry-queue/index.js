@@ -0,0 +1,33 @@
+import { createMemoryStore } from './memory-store.js';
+import { createFileStore } from './file-store.js';
+import { createRedisStore } from './redis-store.js';
+
+// Storage for the retry queues: the mail dead-letter queue (lib/mail-queue)
+// and the webhook delivery log (lib/webhooks). Entries carry an id, a status
+// and, while status is 'retrying', the nextAttemptAt their retry is due.
+//
+// Every store implements: create(entry), get(id), list(), update(id, changes),
+// claimDue(now, leaseMs). claimDue returns the retrying entries that are due
+// and pushes them `leaseMs` into the future, so no other job run claims them
+// while they are being sent.
+//
+// options: { store, filePath, redisUrl } from the queue's config section
+// queue: { env, collection, redisPrefix }
+//   env         - the variable that picks the store, for error messages
+//   collection  - top-level key of the JSON file
+//   redisPrefix - namespace of the queue's Redis keys
+export function createRetryQueueStore(options, queue) {
+  switch (options.store) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(options.filePath, queue.collection);
+    case 'redis':
+      if (!options.redisUrl) {
+        throw new Error(`REDIS_URL must be set when ${queue.env} is "redis"`);
+      }
+      return createRedisStore(options.redisUrl, queue.redisPrefix);
+    default:
+      throw new Error(`${queue.env} must be memory, file or redis, not "${options.store}"`);
+  }
+}
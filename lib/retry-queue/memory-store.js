@@ -0,0 +1,37 @@
+// Per-instance retry queue, for local development and tests
+export function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    async create(entry) {
+      entries.set(entry.id, structuredClone(entry));
+      return entry;
+    },
+
+    async get(id) {
+      const entry = entries.get(id);
+      return entry ? structuredClone(entry) : null;
+    },
+
+    async list() {
+      return [...entries.values()].map(entry => structuredClone(entry));
+    },
+
+    async update(id, changes) {
+      const entry = entries.get(id);
+      if (!entry) return null;
+      Object.assign(entry, changes);
+      return structuredClone(entry);
+    },
+
+    async claimDue(now, leaseMs) {
+      const due = [...entries.values()].filter(entry =>
+        entry.status === 'retrying' && Date.parse(entry.nextAttemptAt) <= now
+      );
+      due.forEach(entry => {
+        entry.nextAttemptAt = new Date(now + leaseMs).toISOString();
+      });
+      return due.map(entry => structuredClone(entry));
+    },
+  };
+}
@@ -0,0 +1,33 @@
+import { createRedisClient } from '../redis/client.js';
+import { createRecordStore } from '../redis/records.js';
+
+// Retry queue in Redis, shared by every serverless instance. `prefix`
+// namespaces the queue's keys.
+export function createRedisStore(url, prefix) {
+  const records = createRecordStore(createRedisClient(url), prefix);
+
+  return {
+    create: records.create,
+    get: records.get,
+    list: records.list,
+    update: records.update,
+
+    // Claims retries that are due with a lease on each entry, so overlapping
+    // job runs on different instances don't send them twice, and pushes them
+    // `leaseMs` into the future like the other stores
+    async claimDue(now, leaseMs) {
+      const due = (await records.list()).filter(entry =>
+        entry.status === 'retrying' && Date.parse(entry.nextAttemptAt) <= now
+      );
+
+      const claimed = [];
+      for (const entry of due) {
+        if (!(await records.lease(entry.id, leaseMs))) continue;
+        const nextAttemptAt = new Date(now + leaseMs).toISOString();
+        await records.update(entry.id, { nextAttemptAt });
+        claimed.push({ ...entry, nextAttemptAt });
+      }
+      return claimed;
+    },
+  };
+}
@@ -0,0 +1,99 @@
+import leadRoutes from '../config/lead-routes.js';
+import { emailPattern, formSchema } from '../shared/form-schema.js';
+
+const matchableFields = ['serviceInterest', 'businessType'];
+
+function validateRecipients(route, key, errors, { required = false } = {}) {
+  const recipients = route[key] ?? [];
+  if (!Array.isArray(recipients) || (required && recipients.length === 0)) {
+    errors.push(`${route.name}: "${key}" must be ${required ? 'a non-empty' : 'an'} array of email addresses`);
+    return;
+  }
+  for (const address of recipients) {
+    if (typeof address !== 'string' || !emailPattern.test(address)) {
+      errors.push(`${route.name}: invalid ${key} address "${address}"`);
+    }
+  }
+}
+
+function validateRoute(route, errors, { isDefault = false } = {}) {
+  if (!route || typeof route.name !== 'string' || !route.name) {
+    errors.push('every route needs a "name"');
+    return;
+  }
+
+  validateRecipients(route, 'to', errors, { required: true });
+  validateRecipients(route, 'cc', errors);
+  validateRecipients(route, 'bcc', errors);
+
+  if (route.subjectPrefix !== undefined && typeof route.subjectPrefix !== 'string') {
+    errors.push(`${route.name}: "subjectPrefix" must be a string`);
+  }
+
+  if (isDefault) return;
+
+  if (!route.match || typeof route.match !== 'object' || Object.keys(route.match).length === 0) {
+    errors.push(`${route.name}: "match" must list at least one field`);
+    return;
+  }
+
+  for (const [fieldName, values] of Object.entries(route.match)) {
+    if (!matchableFields.includes(fieldName)) {
+      errors.push(`${route.name}: cannot match on "${fieldName}" (use ${matchableFields.join(' or ')})`);
+      continue;
+    }
+
+    const validValues = formSchema[fieldName].options.map(option => option.value);
+    if (!Array.isArray(values) || values.length === 0) {
+      errors.push(`${route.name}: match.${fieldName} must be a non-empty array`);
+      continue;
+    }
+    for (const value of values) {
+      if (!validValues.includes(value)) {
+        errors.push(`${route.name}: unknown ${fieldName} "${value}"`);
+      }
+    }
+  }
+}
+
+// Throws with every problem found, so a bad config fails at startup rather than per request
+export function validateRoutingConfig(routing) {
+  const errors = [];
+
+  if (!routing?.default) {
+    errors.push('a "default" route is required');
+  } else {
+    validateRoute(routing.default, errors, { isDefault: true });
+  }
+
+  if (!Array.isArray(routing?.routes)) {
+    errors.push('"routes" must be an array');
+  } else {
+    routing.routes.forEach(route => validateRoute(route, errors));
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid lead routing config:\n  - ${errors.join('\n  - ')}`);
+  }
+  return routing;
+}
+
+const routing = validateRoutingConfig(leadRoutes);
+
+function normalizeRoute(route) {
+  return {
+    name: route.name,
+    to: route.to,
+    cc: route.cc || [],
+    bcc: route.bcc || [],
+    subjectPrefix: route.subjectPrefix || '',
+  };
+}
+
+// First route whose match fits the data, else the default route
+export function resolveRoute(data, routingConfig = routing) {
+  const route = routingConfig.routes.find(candidate =>
+    Object.entries(candidate.match).every(([fieldName, values]) => values.includes(data[fieldName]))
+  );
+  return normalizeRoute(route || routingConfig.default);
+}
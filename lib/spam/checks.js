@@ -0,0 +1,127 @@
+import blockedEmailDomains from '../../config/blocked-email-domains.js';
+
+// Spam checks. Each one looks at the submission context and returns
+// { score, reason }; a score of 0 means nothing suspicious. Add a check by
+// appending it to `defaultChecks` (or pass your own list to scoreSubmission).
+//
+// context: { data, token, settings, now, leadStore }
+//   data     - sanitized form fields
+//   token    - result of verifyFormToken, or null when tokens aren't configured
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+const LINK_MARKUP_PATTERN = /\[url[=\]]|<a\s+href/i;
+
+function normalizeText(text) {
+  return String(text ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+export const formTokenCheck = {
+  name: 'formToken',
+  run({ token }) {
+    if (!token) return { score: 0, reason: 'tokens not configured' };
+    if (token.valid) return { score: 0, reason: 'valid' };
+
+    switch (token.reason) {
+      // Real visitors end up here too: the form was opened offline and sent
+      // later from the offline queue, or the token request failed. Weighs no
+      // more than an expired token, well under a forged one.
+      case 'missing':
+        return { score: 1, reason: 'no form token' };
+      case 'expired':
+        return { score: 1, reason: 'form token expired' };
+      default:
+        return { score: 5, reason: `invalid form token (${token.reason})` };
+    }
+  },
+};
+
+export const submitTimeCheck = {
+  name: 'submitTime',
+  run({ token, settings, now }) {
+    if (!token?.issuedAt) return { score: 0, reason: 'render time unknown' };
+
+    const elapsedMs = now - token.issuedAt;
+    if (elapsedMs < settings.minSubmitMs) {
+      return { score: 4, reason: `submitted ${elapsedMs}ms after render` };
+    }
+    return { score: 0, reason: `submitted ${Math.round(elapsedMs / 1000)}s after render` };
+  },
+};
+
+export const linkCheck = {
+  name: 'links',
+  run({ data, settings }) {
+    const { message } = data;
+    const links = (message.match(URL_PATTERN) || []).length;
+    let score = Math.min(6, Math.max(0, links - settings.maxLinks) * 2);
+    let reason = `${links} link(s)`;
+
+    if (LINK_MARKUP_PATTERN.test(message)) {
+      score += 3;
+      reason += ', link markup';
+    }
+    return { score, reason };
+  },
+};
+
+export const emailDomainCheck = {
+  name: 'emailDomain',
+  run({ data }) {
+    const domain = data.email.split('@').pop().toLowerCase();
+    const matches = listed => listed.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+
+    if (matches(blockedEmailDomains.blocked)) return { score: 10, reason: `blocked domain ${domain}` };
+    if (matches(blockedEmailDomains.disposable)) return { score: 3, reason: `disposable domain ${domain}` };
+    return { score: 0, reason: domain };
+  },
+};
+
+// Repetition inside the message (the same line or word over and over) and the
+// same message arriving again from recent submissions
+export const repeatedContentCheck = {
+  name: 'repeatedContent',
+  async run({ data, settings, now, leadStore }) {
+    const message = normalizeText(data.message);
+    const reasons = [];
+    let score = 0;
+
+    const lines = data.message.split(/\r?\n/).map(line => line.trim().toLowerCase()).filter(Boolean);
+    const lineCounts = countOccurrences(lines);
+    const words = message.split(' ').filter(word => word.length >= 3);
+    const wordCounts = countOccurrences(words);
+
+    if (Math.max(0, ...lineCounts.values()) >= 3 ||
+        (words.length >= 20 && Math.max(...wordCounts.values()) / words.length > 0.4)) {
+      score += 2;
+      reasons.push('repetitive message');
+    }
+
+    if (message.length >= 20 && leadStore) {
+      const since = now - settings.repeatWindowMs;
+      const repeats = (await leadStore.list()).filter(lead =>
+        Date.parse(lead.createdAt) >= since && normalizeText(lead.message) === message
+      ).length;
+
+      if (repeats) {
+        score += Math.min(6, 2 + repeats);
+        reasons.push(`same message seen ${repeats} time(s) recently`);
+      }
+    }
+
+    return { score, reason: reasons.join(', ') || 'none' };
+  },
+};
+
+function countOccurrences(items) {
+  const counts = new Map();
+  items.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+  return counts;
+}
+
+export const defaultChecks = [
+  formTokenCheck,
+  submitTimeCheck,
+  linkCheck,
+  emailDomainCheck,
+  repeatedContentCheck,
+];
@@ -0,0 +1,42 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+// Form tokens are issued to the page when it renders and sent back with the
+// submission: "<issuedAt>.<nonce>.<signature>". The signature proves we issued
+// it, and issuedAt tells us how long the visitor spent on the form.
+
+function sign(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+export function issueFormToken(secret, now = Date.now()) {
+  const payload = `${now}.${randomBytes(9).toString('base64url')}`;
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns { valid: true, issuedAt } or { valid: false, reason }
+export function verifyFormToken(token, { secret, maxAgeMs, now = Date.now() }) {
+  if (typeof token !== 'string' || !token) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3 || !/^\d{13}$/.test(parts[0])) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`, secret));
+  const actual = Buffer.from(parts[2]);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'bad signature' };
+  }
+
+  const issuedAt = Number(parts[0]);
+  if (issuedAt > now + 60 * 1000) {
+    return { valid: false, reason: 'issued in the future' };
+  }
+  if (now - issuedAt > maxAgeMs) {
+    return { valid: false, reason: 'expired', issuedAt };
+  }
+
+  return { valid: true, issuedAt };
+}
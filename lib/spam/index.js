@@ -0,0 +1,43 @@
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+import { defaultChecks } from './checks.js';
+import { issueFormToken, verifyFormToken } from './form-token.js';
+
+export function hasFormTokenSecret(settings = config.spam) {
+  return Boolean(settings.tokenSecret);
+}
+
+export function createFormToken(settings = config.spam) {
+  return issueFormToken(settings.tokenSecret);
+}
+
+// Runs every check and adds up the scores. Submissions at or above the
+// threshold are `flagged`; `checks` is the per-check breakdown for tuning.
+// A check that throws scores 0, so a broken check can't block real leads.
+export async function scoreSubmission({ data, formToken, leadStore, now = Date.now() }, {
+  checks = defaultChecks,
+  settings = config.spam,
+} = {}) {
+  const token = hasFormTokenSecret(settings)
+    ? verifyFormToken(formToken, { secret: settings.tokenSecret, maxAgeMs: settings.tokenMaxAgeMs, now })
+    : null;
+  const context = { data, token, settings, now, leadStore };
+
+  const results = await Promise.all(checks.map(async check => {
+    try {
+      const { score, reason } = await check.run(context);
+      return { name: check.name, score, reason };
+    } catch (error) {
+      logger.error('spam_check_failed', { check: check.name, error });
+      return { name: check.name, score: 0, reason: 'check failed' };
+    }
+  }));
+
+  const score = results.reduce((total, result) => total + result.score, 0);
+  return {
+    score,
+    threshold: settings.threshold,
+    flagged: score >= settings.threshold,
+    checks: results,
+  };
+}
@@ -0,0 +1,45 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+// Pending writes per file, so concurrent updates in one instance don't clobber each other
+const locks = new Map();
+
+export async function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return structuredClone(fallback);
+    throw error;
+  }
+}
+
+export async function writeJsonFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Write to a temp file first so a crash never leaves half-written JSON behind
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data), 'utf8');
+  await fs.rename(tempPath, filePath);
+}
+
+// Read, mutate and write back a JSON file. `updater` mutates the data in place
+// and whatever it returns is passed through to the caller.
+export function updateJsonFile(filePath, fallback, updater) {
+  const previous = locks.get(filePath) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    const data = await readJsonFile(filePath, fallback);
+    const result = await updater(data);
+    await writeJsonFile(filePath, data);
+    return result;
+  });
+
+  locks.set(filePath, next);
+  next.catch(() => {}).finally(() => {
+    if (locks.get(filePath) === next) {
+      locks.delete(filePath);
+    }
+  });
+
+  return next;
+}
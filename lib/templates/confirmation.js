@@ -0,0 +1,59 @@
+import { businessTypeLabels, serviceInterestLabels } from '../../shared/form-schema.js';
+import availability from '../../config/availability.js';
+import { formatDateTime } from '../time-zones.js';
+import { htmlLayout, textLayout } from './layout.js';
+import { escapeHtml } from '../encoding.js';
+import { html, text } from './partials.js';
+
+// Confirmation sent to the person who submitted the contact form. data: { lead }
+function requestRows(lead) {
+  const rows = [
+    ['Service Interest', serviceInterestLabels[lead.serviceInterest]],
+    ['Business Type', businessTypeLabels[lead.businessType]],
+  ];
+  if (lead.consultation) {
+    rows.push(['Consultation', formatDateTime(lead.consultation.start, availability.timeZone)]);
+  }
+  return rows;
+}
+
+const greeting = lead => `Hi ${lead.name.split(' ')[0]},`;
+const intro = 'Thank you for reaching out! We\'ve received your consultation request and a member of our team will get back to you within 24 hours.';
+const nextSteps = lead => [
+  'We review your needs and match them with the right specialist.',
+  lead.consultation
+    ? 'We meet at your chosen time for your free consultation. The calendar invite is attached.'
+    : 'We contact you to schedule your free consultation.',
+  'We put together a custom support strategy for your business.',
+];
+const replyHint = 'Need to add something? Just reply to this email and quote your reference number.';
+const footer = 'You\'re receiving this email because you submitted the contact form on the SaniSolutions website.';
+
+export default {
+  subject({ lead }) {
+    return `We received your consultation request (Ref: ${lead.id})`;
+  },
+
+  html({ lead }) {
+    return htmlLayout({
+      title: 'SaniSolutions',
+      badge: `Reference: ${lead.id}`,
+      footer,
+      body: html.section('', html.paragraphs(greeting(lead)) + html.paragraphs(intro)) +
+        html.section('What you requested', html.fields(requestRows(lead)) +
+          `<p><span class="label">Your Message:</span></p>${html.paragraphs(lead.message)}`) +
+        html.section('What happens next', html.list(nextSteps(lead), { ordered: true }) + `<p>${escapeHtml(replyHint)}</p>`),
+    });
+  },
+
+  text({ lead }) {
+    return textLayout({
+      title: 'SaniSolutions',
+      badge: `Reference: ${lead.id}`,
+      footer,
+      body: text.section('', `${greeting(lead)}\n\n${intro}`) +
+        text.section('What you requested', text.fields(requestRows(lead)) + `\nYour Message:\n${text.paragraphs(lead.message)}`) +
+        text.section('What happens next', text.list(nextSteps(lead), { ordered: true }) + `\n\n${replyHint}`),
+    });
+  },
+};
@@ -0,0 +1,23 @@
+import { encodeHeader } from '../encoding.js';
+import notification from './notification.js';
+import confirmation from './confirmation.js';
+
+// Every template exports subject(data), html(data) and text(data). Templates
+// get raw lead data: the HTML partials escape it and the subject is made
+// header-safe here.
+const templates = { notification, confirmation };
+
+export const templateNames = Object.keys(templates);
+
+export function renderTemplate(name, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return {
+    subject: encodeHeader(template.subject(data)),
+    html: template.html(data),
+    text: template.text(data),
+  };
+}
@@ -0,0 +1,45 @@
+import { escapeHtml } from '../encoding.js';
+
+// Shared page chrome for every email, in HTML and plain-text flavours
+
+const styles = `
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #2c3e50; max-width: 600px; margin: 0 auto; }
+    .header { background: #2d7a4f; color: white; padding: 24px; text-align: center; }
+    .header h1 { margin: 0; font-size: 22px; }
+    .badge { display: inline-block; margin-top: 8px; padding: 4px 12px; border-radius: 4px; background: #f39c12; color: #1a1a1a; font-weight: bold; }
+    .section { background: #f8f9fa; padding: 20px; margin: 15px 0; border-radius: 5px; }
+    .section h2 { margin-top: 0; font-size: 18px; }
+    .label { font-weight: bold; color: #2d7a4f; }
+    table.details { width: 100%; border-collapse: collapse; }
+    table.details th, table.details td { padding: 6px 8px; border-bottom: 1px solid #e5e5e5; text-align: left; vertical-align: top; }
+    table.details th { width: 45%; color: #2d7a4f; }
+    .footer { margin-top: 20px; padding-top: 20px; border-top: 1px solid #ddd; color: #555; font-size: 14px; }
+`;
+
+// title, badge and footer are plain text; body is HTML
+export function htmlLayout({ title, badge, body, footer }) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>${styles}</style>
+</head>
+<body>
+    <div class="header">
+        <h1>${escapeHtml(title)}</h1>
+        ${badge ? `<div class="badge">${escapeHtml(badge)}</div>` : ''}
+    </div>
+${body}
+    <div class="footer">
+        <p>${escapeHtml(footer)}</p>
+    </div>
+</body>
+</html>
+`;
+}
+
+export function textLayout({ title, badge, body, footer }) {
+  const heading = badge ? `${title}\n${badge}` : title;
+  return `${heading}\n${'='.repeat(title.length)}\n\n${body.trim()}\n\n--\n${footer}\n`;
+}
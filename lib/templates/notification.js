@@ -0,0 +1,91 @@
+import { businessTypeLabels, describeServiceDetails, formatBytes, serviceInterestLabels, supportDaysLabels } from '../../shared/form-schema.js';
+import { describeEstimate } from '../../shared/estimate.js';
+import availability from '../../config/availability.js';
+import { convertHours, formatDateTime, formatTimeOfDay } from '../time-zones.js';
+import { htmlLayout, textLayout } from './layout.js';
+import { html, text } from './partials.js';
+
+// Internal notification for a new lead. data: { lead, route }
+function contactRows(lead) {
+  return [
+    ['Name', lead.name],
+    ['Email', lead.email],
+    ['Business Type', businessTypeLabels[lead.businessType]],
+    ['Service Interest', serviceInterestLabels[lead.serviceInterest]],
+    ['Consultation', lead.consultation ? formatDateTime(lead.consultation.start, availability.timeZone) : 'Not booked'],
+    ...availabilityRows(lead),
+    ['IP Address', lead.ip],
+    ['Reference', lead.id],
+    ['Timestamp', lead.createdAt],
+  ];
+}
+
+function dayMarker(offset) {
+  if (offset === 0) return '';
+  if (Math.abs(offset) === 1) return offset > 0 ? ' (next day)' : ' (previous day)';
+  return ` (${offset > 0 ? '+' : ''}${offset} days)`;
+}
+
+// The client's preferred support hours, as given and converted to the team's
+// time zone (on the day they asked, so DST matches the request)
+function availabilityRows(lead) {
+  const rows = [];
+  if (lead.timeZone) rows.push(['Time Zone', lead.timeZone]);
+  if (lead.supportDays) rows.push(['Support Days', supportDaysLabels[lead.supportDays]]);
+
+  if (lead.timeZone && lead.supportStart && lead.supportEnd) {
+    const { start, end } = convertHours({
+      start: lead.supportStart,
+      end: lead.supportEnd,
+      from: lead.timeZone,
+      to: availability.timeZone,
+      date: new Date(lead.createdAt),
+    });
+    rows.push(
+      ['Support Hours', `${formatTimeOfDay(lead.supportStart)} - ${formatTimeOfDay(lead.supportEnd)} (${lead.timeZone})`],
+      ['Support Hours (Our Time)', `${start.time}${dayMarker(start.dayOffset)} - ${end.time}${dayMarker(end.dayOffset)} (${availability.timeZone})`],
+    );
+  }
+  return rows;
+}
+
+function detailRows(lead) {
+  return describeServiceDetails(lead.serviceInterest, lead.details);
+}
+
+function attachmentItems(lead) {
+  return (lead.attachments || []).map(file => `${file.filename} (${formatBytes(file.size)})`);
+}
+
+const footer = 'This message was sent from your Sani Solutions website contact form.';
+
+export default {
+  subject({ lead, route }) {
+    const prefix = route?.subjectPrefix ? `${route.subjectPrefix} ` : '';
+    return `${prefix}New Consultation Request from ${lead.name} (Ref: ${lead.id})`;
+  },
+
+  html({ lead }) {
+    return htmlLayout({
+      title: 'New Consultation Request',
+      footer,
+      body: html.section('Contact Information', html.fields(contactRows(lead))) +
+        (detailRows(lead).length ? html.section('Service Details', html.table(detailRows(lead))) : '') +
+        html.section('Support Needs', html.paragraphs(lead.message)) +
+        (lead.estimate ? html.section('Cost Estimate', html.table(describeEstimate(lead.estimate))) : '') +
+        (lead.attachments?.length ? html.section('Attachments', html.list(attachmentItems(lead))) : ''),
+    });
+  },
+
+  text({ lead }) {
+    return textLayout({
+      title: 'New Consultation Request',
+      footer,
+      body: text.section('Contact Information', text.fields(contactRows(lead))) +
+        (detailRows(lead).length ? text.section('Service Details', text.table(detailRows(lead))) : '') +
+        text.section('Support Needs', text.paragraphs(lead.message)) +
+        (lead.estimate ? text.section('Cost Estimate', text.table(describeEstimate(lead.estimate))) : '') +
+        (lead.attachments?.length ? text.section('Attachments', text.list(attachmentItems(lead))) : ''),
+    });
+  },
+};
@@ -0,0 +1,59 @@
+import { escapeHtml } from '../encoding.js';
+
+// Building blocks shared by the email templates. Each partial has an HTML
+// and a plain-text version so both parts of a message stay in sync.
+// Titles, labels and values are plain text; the HTML partials escape them,
+// while `content` passed to html.section is already HTML.
+
+export const html = {
+  section(title, content) {
+    return `
+    <div class="section">
+        ${title ? `<h2>${escapeHtml(title)}</h2>` : ''}
+        ${content}
+    </div>
+`;
+  },
+
+  // rows: [[label, value], ...]
+  fields(rows) {
+    return rows.map(([label, value]) => `<p><span class="label">${escapeHtml(label)}:</span> ${escapeHtml(value)}</p>`).join('\n        ');
+  },
+
+  paragraphs(text) {
+    return `<p>${escapeHtml(text).replace(/\r?\n/g, '<br>')}</p>`;
+  },
+
+  // rows: [[label, value], ...] as a two-column table
+  table(rows) {
+    const body = rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+    return `<table class="details">${body}</table>`;
+  },
+
+  list(items, { ordered = false } = {}) {
+    const tag = ordered ? 'ol' : 'ul';
+    return `<${tag}>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</${tag}>`;
+  },
+};
+
+export const text = {
+  section(title, content) {
+    return title ? `${title.toUpperCase()}\n${content}\n\n` : `${content}\n\n`;
+  },
+
+  fields(rows) {
+    return rows.map(([label, value]) => `${label}: ${value ?? ''}`).join('\n');
+  },
+
+  paragraphs(value) {
+    return String(value ?? '');
+  },
+
+  table(rows) {
+    return this.fields(rows);
+  },
+
+  list(items, { ordered = false } = {}) {
+    return items.map((item, index) => `${ordered ? `${index + 1}.` : '-'} ${item}`).join('\n');
+  },
+};
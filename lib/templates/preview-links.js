@@ -0,0 +1,28 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// Short-lived links for opening an email preview in a browser, which can't
+// send the Authorization header. The signature covers the template, format
+// and expiry, so a link that ends up in history or a log shows one sample
+// email for a few minutes and never reveals the preview token.
+
+export const previewLinkTtlMs = 10 * 60 * 1000;
+
+function sign({ template, format, expires }, secret) {
+  return createHmac('sha256', secret).update(`email-preview.${template}.${format}.${expires}`).digest('base64url');
+}
+
+// -> { path, expiresAt }
+export function createPreviewLink({ template, format }, secret, now = Date.now()) {
+  const expires = String(now + previewLinkTtlMs);
+  const params = new URLSearchParams({ template, format, expires, signature: sign({ template, format, expires }, secret) });
+  return { path: `/api/email-preview?${params}`, expiresAt: new Date(Number(expires)).toISOString() };
+}
+
+export function verifyPreviewLink({ template, format, expires, signature }, secret, now = Date.now()) {
+  if (typeof signature !== 'string' || typeof expires !== 'string' || !/^\d{13}$/.test(expires)) return false;
+  if (Number(expires) < now) return false;
+
+  const expected = Buffer.from(sign({ template, format, expires }, secret));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
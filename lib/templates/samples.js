@@ -0,0 +1,26 @@
+import { computeEstimate } from '../../shared/estimate.js';
+
+// Sample data for the preview endpoint, stored the same way real leads are
+const lead = {
+  id: 'SS-20250101-A1B2C3',
+  createdAt: '2025-01-01T14:30:00.000Z',
+  name: 'Jamie Davies',
+  email: 'jamie@example.com',
+  businessType: 'tech',
+  serviceInterest: 'admin',
+  message: 'We need help with inbox triage and scheduling for our leadership team.\nAround 20 hours a week to start.',
+  details: { tools: 'Google Workspace, Asana', hoursPerWeek: 20 },
+  ip: '203.0.113.10',
+  attachments: [{ filename: 'job-description.pdf', contentType: 'application/pdf', size: 48213 }],
+  timeZone: 'Europe/London',
+  supportDays: 'weekdays',
+  supportStart: '08:00',
+  supportEnd: '16:00',
+  consultation: { start: '2025-01-07T15:00:00.000Z', end: '2025-01-07T15:30:00.000Z' },
+  estimate: computeEstimate({ services: [{ service: 'admin', hoursPerWeek: 20 }], salary: 45000 }),
+};
+
+export const samples = {
+  notification: { lead, route: { name: 'default', subjectPrefix: '' } },
+  confirmation: { lead },
+};
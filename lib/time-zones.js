@@ -0,0 +1,89 @@
+// Time zone helpers built on Intl, so no date library is needed
+
+const weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Offset of the zone from UTC at the given instant, in ms
+function timeZoneOffsetMs(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Wall-clock date ('YYYY-MM-DD') and time ('HH:MM') in a zone -> Date
+export function zonedTimeToUtc(dateString, timeString, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours, minutes] = timeString.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Re-check the offset at the result to land on the right side of DST changes
+  const offset = timeZoneOffsetMs(new Date(guess), timeZone);
+  const adjustedOffset = timeZoneOffsetMs(new Date(guess - offset), timeZone);
+  return new Date(guess - adjustedOffset);
+}
+
+// 'YYYY-MM-DD' of the instant as seen in the zone
+export function zonedDateString(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+export function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// 'mon'...'sun' for a 'YYYY-MM-DD' date
+export function weekdayOf(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return weekdays[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+// e.g. "Tue, Jan 14, 2025, 10:00 AM EST"
+export function formatDateTime(value, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  }).format(new Date(value));
+}
+
+// Daily hours ('HH:MM'-'HH:MM') in one zone, as seen from another on `date`.
+// An end at or before the start runs into the next day. dayOffset says which
+// day each converted time falls on relative to the start day in `from`.
+//   -> { start: { time, dayOffset }, end: { time, dayOffset } }
+export function convertHours({ start, end, from, to, date = new Date() }) {
+  const day = zonedDateString(date, from);
+  const endDay = end <= start ? addDays(day, 1) : day;
+  const timeFormat = new Intl.DateTimeFormat('en-US', { timeZone: to, hour: 'numeric', minute: '2-digit' });
+
+  const convert = (dateString, timeString) => {
+    const instant = zonedTimeToUtc(dateString, timeString, from);
+    return {
+      time: timeFormat.format(instant),
+      dayOffset: (Date.parse(zonedDateString(instant, to)) - Date.parse(day)) / (24 * 60 * 60 * 1000),
+    };
+  };
+
+  return { start: convert(day, start), end: convert(endDay, end) };
+}
+
+// '09:00' -> '9:00 AM'
+export function formatTimeOfDay(timeString) {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
@@ -0,0 +1,141 @@
+import { randomUUID } from 'node:crypto';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+import { backoffDelay } from '../backoff.js';
+import { createRetryQueueStore } from '../retry-queue/index.js';
+import { buildLeadPayload } from './payload.js';
+import { SIGNATURE_HEADER, signPayload } from './signature.js';
+
+// Outbound webhooks: every accepted lead is POSTed, signed, to each URL in
+// WEBHOOK_URLS. Each (lead, URL) pair is a delivery in the delivery log; the
+// first attempt happens right away and failures are retried with exponential
+// backoff by the retry job (api/retry-webhooks.js or `npm run webhooks:retry`).
+
+// See lib/retry-queue for the stores
+export function createDeliveryStore(options = config.webhooks) {
+  return createRetryQueueStore(options, { env: 'WEBHOOK_STORE', collection: 'deliveries', redisPrefix: 'webhooks' });
+}
+
+let store = null;
+
+export function getDeliveryStore() {
+  if (!store) {
+    store = createDeliveryStore();
+  }
+  return store;
+}
+
+function endpointHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+// Sends one delivery, records the attempt and schedules a retry (or gives up)
+async function attemptDelivery(delivery, { settings, log }) {
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  let status = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SaniSolutions-Webhooks/1.0',
+        'X-Sani-Event': delivery.event,
+        'X-Sani-Delivery': delivery.id,
+        [SIGNATURE_HEADER]: signPayload(body, settings.secret),
+      },
+      body,
+      signal: AbortSignal.timeout(settings.timeoutMs),
+    });
+    status = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+    await response.body?.cancel();
+  } catch (requestError) {
+    error = requestError.name === 'TimeoutError' ? `Timed out after ${settings.timeoutMs}ms` : requestError.message;
+  }
+
+  const attempts = [...delivery.attempts, {
+    at: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    status,
+    error,
+  }];
+  const changes = { attempts };
+  const fields = { deliveryId: delivery.id, leadId: delivery.leadId, host: endpointHost(delivery.url), attempt: attempts.length, status, error };
+
+  if (!error) {
+    Object.assign(changes, { status: 'delivered', deliveredAt: new Date().toISOString(), nextAttemptAt: null });
+    log.info('webhook_delivered', fields);
+  } else if (attempts.length >= settings.maxAttempts) {
+    Object.assign(changes, { status: 'failed', nextAttemptAt: null });
+    log.error('webhook_failed', fields);
+  } else {
+    const nextAttemptAt = new Date(Date.now() + backoffDelay(attempts.length, settings)).toISOString();
+    Object.assign(changes, { status: 'retrying', nextAttemptAt });
+    log.warn('webhook_retry_scheduled', { ...fields, nextAttemptAt });
+  }
+
+  await getDeliveryStore().update(delivery.id, changes);
+  return { ...delivery, ...changes };
+}
+
+export function webhooksEnabled(settings = config.webhooks) {
+  return settings.urls.length > 0 && Boolean(settings.secret);
+}
+
+// Logs a delivery per configured URL and makes the first attempt at each.
+// Never throws: webhook trouble must not affect the form response.
+export async function dispatchLeadWebhooks(lead, { log = logger, settings = config.webhooks } = {}) {
+  if (!settings.urls.length) return [];
+  if (!settings.secret) {
+    log.error('config_error', { message: 'WEBHOOK_URLS is set but WEBHOOK_SECRET is not; webhooks are off' });
+    return [];
+  }
+
+  return Promise.all(settings.urls.map(async url => {
+    try {
+      const id = `whd_${randomUUID()}`;
+      const createdAt = new Date().toISOString();
+      const delivery = {
+        id,
+        leadId: lead.id,
+        event: 'lead.created',
+        url,
+        status: 'pending',
+        createdAt,
+        attempts: [],
+        nextAttemptAt: null,
+        deliveredAt: null,
+        payload: buildLeadPayload(lead, { deliveryId: id, createdAt }),
+      };
+
+      await getDeliveryStore().create(delivery);
+      return await attemptDelivery(delivery, { settings, log });
+    } catch (error) {
+      log.error('webhook_error', { leadId: lead.id, host: endpointHost(url), error });
+      return null;
+    }
+  }));
+}
+
+// Retries every delivery whose backoff has run out.
+//   -> { attempted, delivered, retrying, failed }
+export async function retryDueWebhooks({ now = Date.now(), log = logger, settings = config.webhooks } = {}) {
+  const summary = { attempted: 0, delivered: 0, retrying: 0, failed: 0 };
+  if (!settings.secret) return summary;
+
+  // Long enough for every claimed delivery to time out before another run may claim it again
+  const due = await getDeliveryStore().claimDue(now, settings.timeoutMs * 10 + 60 * 1000);
+  for (const delivery of due) {
+    const result = await attemptDelivery(delivery, { settings, log });
+    summary.attempted += 1;
+    summary[result.status] += 1;
+  }
+  return summary;
+}
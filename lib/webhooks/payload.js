@@ -0,0 +1,31 @@
+import { businessTypeLabels, describeServiceDetails, serviceInterestLabels } from '../../shared/form-schema.js';
+import availability from '../../config/availability.js';
+
+// JSON body for a `lead.created` webhook. Select fields carry both the stored
+// value and its human label so receivers don't need our option lists.
+export function buildLeadPayload(lead, { deliveryId, createdAt = new Date().toISOString() } = {}) {
+  return {
+    id: deliveryId,
+    event: 'lead.created',
+    createdAt,
+    lead: {
+      reference: lead.id,
+      submittedAt: lead.createdAt,
+      name: lead.name,
+      email: lead.email,
+      businessType: { value: lead.businessType, label: businessTypeLabels[lead.businessType] },
+      serviceInterest: { value: lead.serviceInterest, label: serviceInterestLabels[lead.serviceInterest] },
+      message: lead.message,
+      details: describeServiceDetails(lead.serviceInterest, lead.details || {}).map(([label, value]) => ({ label, value })),
+      availability: lead.timeZone
+        ? { timeZone: lead.timeZone, days: lead.supportDays || null, start: lead.supportStart || null, end: lead.supportEnd || null }
+        : null,
+      consultation: lead.consultation
+        ? { start: lead.consultation.start, end: lead.consultation.end, timeZone: availability.timeZone }
+        : null,
+      estimate: lead.estimate || null,
+      attachments: (lead.attachments || []).map(({ filename, contentType, size }) => ({ filename, contentType, size })),
+      route: lead.route,
+    },
+  };
+}
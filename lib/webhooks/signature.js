@@ -0,0 +1,23 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// Webhook requests carry `X-Sani-Signature: t=<unix seconds>,v1=<hex>`, where
+// v1 is HMAC-SHA256(secret, "<t>.<raw body>"). Receivers should recompute it
+// over the raw body and reject old timestamps to stop replays.
+
+export const SIGNATURE_HEADER = 'X-Sani-Signature';
+
+export function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Reference check for receivers (and our own tooling)
+export function verifySignature(body, header, secret, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(body, secret, timestamp).split('v1=')[1]);
+  const actual = Buffer.from(parts.v1);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
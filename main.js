@@ -1,4 +1,20 @@
 // Safe JavaScript with GSAP fallback
+import {
+    attachmentAccept,
+    attachmentRules,
+    formatBytes,
+    formFields,
+    formSchema,
+    serviceInterestLabels,
+    serviceQuestions,
+    validateAttachments,
+    validateDetail,
+    validateField as validateFieldValue
+} from './shared/form-schema.js';
+import { computeEstimate, formatMoney, validateEstimateInput } from './shared/estimate.js';
+import rates from './config/rates.js';
+import { countQueued, createIdempotencyKey, enqueueSubmission, flushQueue, sendSubmission, SYNC_TAG } from './offline-queue.js';
+
 document.addEventListener('DOMContentLoaded', function () {
     console.log('DOM loaded - initializing');
 
@@ -95,6 +111,8 @@ document.addEventListener('DOMContentLoaded', function () {
             animationsInitialized = true;
             console.log('Initializing main animations');
             initMainAnimations();
+            // The loader is gone and the page is scrollable again (initFAQ waits for this)
+            document.dispatchEvent(new CustomEvent('page:ready'));
         }
 
         if (!loadingScreen) {
@@ -176,8 +194,9 @@ document.addEventListener('DOMContentLoaded', function () {
         // Initialize mobile menu
         initMobileMenu();
 
-        // Initialize contact form
+        // Initialize contact form and the savings estimator that feeds it
         initContactForm();
+        initEstimator();
 
         // Safe GSAP animations with fallbacks
         if (typeof gsap !== 'undefined') {
@@ -295,7 +314,476 @@ document.addEventListener('DOMContentLoaded', function () {
         const formMessage = document.getElementById('formMessage');
 
         // Real-time validation
-        const fields = ['name', 'email', 'businessType', 'serviceInterest', 'message'];
+        const fields = formFields;
+
+        // Build select options and input limits from the shared schema
+        fields.forEach(fieldId => {
+            const element = document.getElementById(fieldId);
+            const fieldSchema = formSchema[fieldId];
+            if (!element) return;
+
+            element.required = fieldSchema.required;
+            element.setAttribute('aria-required', fieldSchema.required ? 'true' : 'false');
+
+            if (fieldSchema.maxLength && element.tagName !== 'SELECT') {
+                element.maxLength = fieldSchema.maxLength;
+            }
+
+            if (fieldSchema.type === 'select') {
+                element.innerHTML = '';
+                element.appendChild(new Option(fieldSchema.placeholder, ''));
+                fieldSchema.options.forEach(option => {
+                    element.appendChild(new Option(option.formLabel || option.label, option.value));
+                });
+            }
+        });
+
+        // The visitor's time zone, detected from the browser and adjustable, so
+        // their support hours can be matched against a VA's schedule
+        const timeZoneSelect = document.getElementById('timeZone');
+
+        function populateTimeZones() {
+            if (!timeZoneSelect) return;
+
+            const detected = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+            if (detected && !zones.includes(detected)) {
+                zones.push(detected);
+                zones.sort();
+            }
+
+            const now = new Date();
+            const options = zones.map(zone => {
+                let label = zone.replace(/_/g, ' ');
+                try {
+                    const offset = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'shortOffset' })
+                        .formatToParts(now).find(part => part.type === 'timeZoneName')?.value;
+                    if (offset) label += ` (${offset})`;
+                } catch (error) {
+                    // Older browsers lack shortOffset; the zone name alone will do
+                }
+                const isDetected = zone === detected;
+                return new Option(label, zone, isDetected, isDetected);
+            });
+
+            // Replaces rather than appends, so running this again can't list every zone twice
+            timeZoneSelect.replaceChildren(new Option('Select your time zone', ''), ...options);
+        }
+
+        populateTimeZones();
+
+        // Consultation slots from the booking API, shown in the visitor's own time zone
+        const slotSelect = document.getElementById('consultationSlot');
+        let restoredSlot = ''; // slot from a restored draft, applied once slots load
+
+        async function loadConsultationSlots() {
+            if (!slotSelect) return;
+
+            const selected = slotSelect.value || restoredSlot;
+
+            try {
+                const response = await fetch('/api/slots');
+                if (!response.ok) {
+                    throw new Error(`Slots request failed with status ${response.status}`);
+                }
+                const { slots } = await response.json();
+
+                slotSelect.innerHTML = '';
+                slotSelect.appendChild(new Option(slots.length
+                    ? 'No preference, contact me to schedule'
+                    : 'No open times right now, contact me to schedule', ''));
+
+                const dayFormat = new Intl.DateTimeFormat(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+                const timeFormat = new Intl.DateTimeFormat(undefined, { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+                const groups = new Map();
+
+                slots.forEach(slot => {
+                    const start = new Date(slot.start);
+                    const day = dayFormat.format(start);
+
+                    if (!groups.has(day)) {
+                        const group = document.createElement('optgroup');
+                        group.label = day;
+                        groups.set(day, group);
+                        slotSelect.appendChild(group);
+                    }
+                    groups.get(day).appendChild(new Option(timeFormat.format(start), slot.start));
+                });
+
+                if (slots.some(slot => slot.start === selected)) {
+                    slotSelect.value = selected;
+                }
+                restoredSlot = '';
+            } catch (error) {
+                console.error('Could not load consultation slots:', error);
+                slotSelect.innerHTML = '';
+                slotSelect.appendChild(new Option('Times unavailable, contact me to schedule', ''));
+            }
+        }
+
+        loadConsultationSlots();
+
+        // Signed token from the server; it tells the spam scorer when the form was rendered
+        let formToken = null;
+
+        async function loadFormToken() {
+            try {
+                const response = await fetch('/api/form-token');
+                if (!response.ok) {
+                    throw new Error(`Form token request failed with status ${response.status}`);
+                }
+                ({ token: formToken } = await response.json());
+            } catch (error) {
+                console.warn('Could not load form token:', error);
+                formToken = null;
+            }
+        }
+
+        loadFormToken();
+
+        // Optional attachments, checked against the shared rules as soon as they're picked
+        const attachmentsInput = document.getElementById('attachments');
+
+        if (attachmentsInput) {
+            attachmentsInput.accept = attachmentAccept;
+            document.getElementById('attachmentsHint').textContent =
+                `Up to ${attachmentRules.maxFiles} files (PDF, Word, Excel, CSV, text or images), ` +
+                `${formatBytes(attachmentRules.maxFileBytes)} each, ${formatBytes(attachmentRules.maxTotalBytes)} in total.`;
+
+            attachmentsInput.addEventListener('change', validateAttachmentsInput);
+        }
+
+        function validateAttachmentsInput() {
+            if (!attachmentsInput) return true;
+
+            const errorElement = document.getElementById('attachmentsError');
+            const { error } = validateAttachments(Array.from(attachmentsInput.files));
+
+            clearFieldError({ target: attachmentsInput });
+            if (error) {
+                showFieldError(attachmentsInput, errorElement, error);
+                return false;
+            }
+            return true;
+        }
+
+        function readFileAsBase64(file) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
+            });
+        }
+
+        function readAttachments() {
+            if (!attachmentsInput) return Promise.resolve([]);
+
+            return Promise.all(Array.from(attachmentsInput.files).map(async file => ({
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                content: await readFileAsBase64(file)
+            })));
+        }
+
+        // Follow-up questions for the chosen service, rendered from the shared schema
+        const serviceSelect = document.getElementById('serviceInterest');
+        const serviceDetails = document.getElementById('serviceDetails');
+
+        function currentQuestions() {
+            return serviceQuestions[serviceSelect?.value] || [];
+        }
+
+        function renderServiceDetails() {
+            if (!serviceDetails) return;
+
+            serviceDetails.innerHTML = '';
+            currentQuestions().forEach(question => {
+                const id = `detail_${question.name}`;
+                const group = document.createElement('div');
+                group.className = 'form-group';
+
+                const label = document.createElement(question.type === 'checkboxes' ? 'span' : 'label');
+                label.className = 'form-label';
+                label.id = `${id}Label`;
+                label.textContent = question.label + (question.required ? ' *' : '');
+                group.appendChild(label);
+
+                let input;
+                if (question.type === 'checkboxes') {
+                    input = document.createElement('div');
+                    input.className = 'checkbox-group';
+                    input.setAttribute('role', 'group');
+                    input.setAttribute('aria-labelledby', label.id);
+
+                    question.options.forEach(option => {
+                        const optionLabel = document.createElement('label');
+                        const checkbox = document.createElement('input');
+                        checkbox.type = 'checkbox';
+                        checkbox.name = id;
+                        checkbox.value = option.value;
+                        checkbox.addEventListener('change', () => validateDetailInput(question));
+                        optionLabel.append(checkbox, option.label);
+                        input.appendChild(optionLabel);
+                    });
+                } else {
+                    input = document.createElement('input');
+                    input.type = question.type;
+                    input.name = id;
+                    label.htmlFor = id;
+                    if (question.placeholder) input.placeholder = question.placeholder;
+                    if (question.maxLength) input.maxLength = question.maxLength;
+                    if (question.type === 'number') {
+                        input.min = question.min;
+                        input.max = question.max;
+                        input.step = 1;
+                    }
+                    input.addEventListener('blur', () => validateDetailInput(question));
+                    input.addEventListener('input', clearFieldError);
+                }
+                input.id = id;
+                input.required = question.required;
+                input.setAttribute('aria-required', question.required ? 'true' : 'false');
+                group.appendChild(input);
+
+                const error = document.createElement('span');
+                error.className = 'error-message';
+                error.id = `${id}Error`;
+                error.setAttribute('aria-live', 'polite');
+                group.appendChild(error);
+
+                serviceDetails.appendChild(group);
+            });
+        }
+
+        function detailValue(question) {
+            const element = document.getElementById(`detail_${question.name}`);
+            if (!element) return question.type === 'checkboxes' ? [] : '';
+
+            if (question.type === 'checkboxes') {
+                return Array.from(element.querySelectorAll('input:checked'), checkbox => checkbox.value);
+            }
+            return element.value.trim();
+        }
+
+        function collectServiceDetails() {
+            const details = {};
+            currentQuestions().forEach(question => {
+                details[question.name] = detailValue(question);
+            });
+            return details;
+        }
+
+        function validateDetailInput(question) {
+            const element = document.getElementById(`detail_${question.name}`);
+            const errorElement = document.getElementById(`detail_${question.name}Error`);
+
+            clearFieldError({ target: element });
+
+            const error = validateDetail(question, detailValue(question));
+            if (error) {
+                showFieldError(element, errorElement, error);
+                return false;
+            }
+            return true;
+        }
+
+        if (serviceSelect) {
+            serviceSelect.addEventListener('change', renderServiceDetails);
+        }
+        renderServiceDetails();
+
+        // Wizard steps: each fieldset is validated before moving on
+        const steps = Array.from(contactForm.querySelectorAll('.form-step'));
+        const progress = contactForm.querySelector('.form-progress');
+        const backBtn = contactForm.querySelector('.form-back');
+        const nextBtn = contactForm.querySelector('.form-next');
+        let currentStep = 0;
+
+        function showStep(index) {
+            currentStep = Math.max(0, Math.min(index, steps.length - 1));
+            const isLast = currentStep === steps.length - 1;
+
+            steps.forEach((step, i) => {
+                step.hidden = i !== currentStep;
+            });
+
+            if (progress) {
+                progress.setAttribute('aria-valuenow', String(currentStep + 1));
+                progress.querySelector('.form-progress-label').textContent = `Step ${currentStep + 1} of ${steps.length}`;
+                progress.querySelector('.form-progress-bar').style.width = `${((currentStep + 1) / steps.length) * 100}%`;
+            }
+
+            if (backBtn) backBtn.hidden = currentStep === 0;
+            if (nextBtn) nextBtn.hidden = isLast;
+            submitBtn.hidden = !isLast && steps.length > 0;
+        }
+
+        function stepOf(element) {
+            return steps.findIndex(step => step.contains(element));
+        }
+
+        function focusField(field) {
+            const index = stepOf(field);
+            if (index !== -1) showStep(index);
+
+            field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            (field.matches('input, select, textarea') ? field : field.querySelector('input') || field).focus();
+        }
+
+        if (backBtn) {
+            backBtn.addEventListener('click', () => showStep(currentStep - 1));
+        }
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => {
+                const firstErrorField = findFirstError(steps[currentStep]);
+                if (firstErrorField) {
+                    focusField(firstErrorField);
+                    return;
+                }
+                formMessage.style.display = 'none';
+                showStep(currentStep + 1);
+                steps[currentStep].querySelector('input, select, textarea')?.focus();
+            });
+        }
+
+        showStep(0);
+
+        // Draft autosave: everything but the honeypot and attachments is kept in
+        // local storage until it expires or the request goes through
+        const draftKey = 'sani-contact-draft';
+        const draftTtlMs = (Number(contactForm.dataset.draftTtlHours) || 72) * 60 * 60 * 1000;
+        const draftNotice = document.getElementById('formDraft');
+        let draftTimer = null;
+
+        function readDraft() {
+            try {
+                const draft = JSON.parse(localStorage.getItem(draftKey));
+                if (!draft || typeof draft.fields !== 'object') return null;
+
+                if (!(Date.now() - draft.savedAt < draftTtlMs)) {
+                    clearDraft();
+                    return null;
+                }
+                return draft;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        function saveDraft() {
+            clearTimeout(draftTimer);
+            draftTimer = null;
+
+            const draftFields = {};
+            fields.forEach(fieldId => {
+                const element = document.getElementById(fieldId);
+                if (element) draftFields[fieldId] = element.value;
+            });
+            const details = collectServiceDetails();
+
+            // Prefilled values, like the detected time zone, don't make a draft
+            const isEmpty = fields.every(fieldId => {
+                const element = document.getElementById(fieldId);
+                return !element || element.value.trim() === defaultValueOf(element);
+            }) && Object.values(details).every(value => !value.length);
+
+            try {
+                if (isEmpty) {
+                    localStorage.removeItem(draftKey);
+                } else {
+                    localStorage.setItem(draftKey, JSON.stringify({ savedAt: Date.now(), fields: draftFields, details }));
+                }
+            } catch (error) {
+                // Storage can be full or disabled (private browsing); drafts are best effort
+                console.warn('Could not save form draft:', error);
+            }
+        }
+
+        function defaultValueOf(element) {
+            if (element.tagName === 'SELECT') {
+                return Array.from(element.options).find(option => option.defaultSelected)?.value ?? '';
+            }
+            return element.defaultValue;
+        }
+
+        function clearDraft() {
+            clearTimeout(draftTimer);
+            draftTimer = null;
+            try {
+                localStorage.removeItem(draftKey);
+            } catch (error) {
+                console.warn('Could not clear form draft:', error);
+            }
+        }
+
+        function restoreDraft(draft) {
+            fields.forEach(fieldId => {
+                const element = document.getElementById(fieldId);
+                const value = draft.fields[fieldId];
+                if (!element || typeof value !== 'string') return;
+
+                element.value = value;
+                if (fieldId === 'consultationSlot' && element.value !== value) {
+                    restoredSlot = value;
+                }
+            });
+
+            renderServiceDetails();
+            currentQuestions().forEach(question => {
+                const value = draft.details?.[question.name];
+                const element = document.getElementById(`detail_${question.name}`);
+                if (!element || value === undefined) return;
+
+                if (question.type === 'checkboxes') {
+                    element.querySelectorAll('input').forEach(checkbox => {
+                        checkbox.checked = Array.isArray(value) && value.includes(checkbox.value);
+                    });
+                } else {
+                    element.value = value;
+                }
+            });
+        }
+
+        function hideDraftNotice() {
+            if (draftNotice) draftNotice.hidden = true;
+        }
+
+        const savedDraft = readDraft();
+        if (savedDraft && draftNotice) {
+            const savedAt = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+                .format(new Date(savedDraft.savedAt));
+            document.getElementById('formDraftText').textContent =
+                `You have an unfinished request saved on this device (${savedAt}).`;
+            draftNotice.hidden = false;
+
+            draftNotice.querySelector('.form-draft-restore').addEventListener('click', () => {
+                restoreDraft(readDraft() || savedDraft);
+                hideDraftNotice();
+                showStep(0);
+                document.getElementById('name')?.focus();
+            });
+            draftNotice.querySelector('.form-draft-discard').addEventListener('click', () => {
+                clearDraft();
+                hideDraftNotice();
+            });
+        }
+
+        // Typing starts a new draft, which replaces the one on offer
+        function scheduleDraftSave(e) {
+            if (e.target.id === 'company_name' || e.target.type === 'file') return;
+
+            hideDraftNotice();
+            clearTimeout(draftTimer);
+            draftTimer = setTimeout(saveDraft, 500);
+        }
+
+        contactForm.addEventListener('input', scheduleDraftSave);
+        contactForm.addEventListener('change', scheduleDraftSave);
+        window.addEventListener('pagehide', () => {
+            if (draftTimer) saveDraft();
+        });
 
         fields.forEach(field => {
             const element = document.getElementById(field);
@@ -311,27 +799,24 @@ document.addEventListener('DOMContentLoaded', function () {
 
             clearFieldError(e);
 
-            if (field.required && !field.value.trim()) {
-                showFieldError(field, errorElement, 'This field is required');
-                return false;
-            }
-
-            if (field.type === 'email' && field.value.trim()) {
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(field.value.trim())) {
-                    showFieldError(field, errorElement, 'Please enter a valid work email address');
-                    return false;
-                }
-            }
-
-            if (field.tagName === 'SELECT' && field.required && !field.value) {
-                showFieldError(field, errorElement, 'Please select an option');
+            const error = validateFieldValue(field.id, field.value, formValues());
+            if (error) {
+                showFieldError(field, errorElement, error);
                 return false;
             }
 
             return true;
         }
 
+        // Current schema field values, for rules that depend on another field
+        function formValues() {
+            const values = {};
+            fields.forEach(fieldId => {
+                values[fieldId] = document.getElementById(fieldId)?.value || '';
+            });
+            return values;
+        }
+
         function showFieldError(field, errorElement, message) {
             field.style.borderColor = '#e74c3c';
             errorElement.textContent = message;
@@ -346,39 +831,48 @@ document.addEventListener('DOMContentLoaded', function () {
             errorElement.style.display = 'none';
         }
 
-        function validateForm() {
-            let isValid = true;
-            let firstErrorField = null;
+        // Validates the schema fields, follow-up questions and attachments inside
+        // `scope` and returns the first one (in page order) with an error, or null
+        function findFirstError(scope) {
+            const invalid = [];
 
+            const values = formValues();
             fields.forEach(fieldId => {
                 const field = document.getElementById(fieldId);
-                const errorElement = document.getElementById(fieldId + 'Error');
-
-                if (field.required && !field.value.trim()) {
-                    showFieldError(field, errorElement, 'This field is required');
-                    isValid = false;
-                    if (!firstErrorField) firstErrorField = field;
-                } else if (field.type === 'email' && field.value.trim()) {
-                    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                    if (!emailRegex.test(field.value.trim())) {
-                        showFieldError(field, errorElement, 'Please enter a valid work email address');
-                        isValid = false;
-                        if (!firstErrorField) firstErrorField = field;
-                    }
-                } else if (field.tagName === 'SELECT' && field.required && !field.value) {
-                    showFieldError(field, errorElement, 'Please select an option');
-                    isValid = false;
-                    if (!firstErrorField) firstErrorField = field;
+                if (!field || !scope.contains(field)) return;
+
+                const error = validateFieldValue(fieldId, field.value, values);
+                if (error) {
+                    showFieldError(field, document.getElementById(fieldId + 'Error'), error);
+                    invalid.push(field);
                 }
             });
 
-            // Scroll to first error
+            if (serviceDetails && scope.contains(serviceDetails)) {
+                currentQuestions().forEach(question => {
+                    if (!validateDetailInput(question)) {
+                        invalid.push(document.getElementById(`detail_${question.name}`));
+                    }
+                });
+            }
+
+            if (attachmentsInput && scope.contains(attachmentsInput) && !validateAttachmentsInput()) {
+                invalid.push(attachmentsInput);
+            }
+
+            invalid.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+            return invalid[0] || null;
+        }
+
+        function validateForm() {
+            const firstErrorField = findFirstError(contactForm);
+
+            // Jump to the step holding the first error
             if (firstErrorField) {
-                firstErrorField.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                firstErrorField.focus();
+                focusField(firstErrorField);
             }
 
-            return isValid;
+            return !firstErrorField;
         }
 
         function showMessage(message, type) {
@@ -397,10 +891,134 @@ document.addEventListener('DOMContentLoaded', function () {
             }
         }
 
+        // Idempotency key for the current submission. Resending the same content
+        // after an unclear outcome (a slow or failed response) reuses it, so the
+        // server replays the first result instead of creating a second lead.
+        let pendingSubmission = null;
+
+        function idempotencyKeyFor(formData) {
+            // The form token is refreshed independently of what the visitor typed
+            const fingerprint = JSON.stringify({ ...formData, formToken: null });
+            if (pendingSubmission?.fingerprint !== fingerprint) {
+                pendingSubmission = { fingerprint, key: createIdempotencyKey() };
+            }
+            return pendingSubmission.key;
+        }
+
+        // Estimate sent over from the savings estimator. Only its inputs are
+        // submitted; the server works the figures out again.
+        const estimateGroup = document.getElementById('formEstimate');
+        const includeEstimate = document.getElementById('includeEstimate');
+        let savedEstimate = null; // { input, estimate }
+
+        document.addEventListener('estimator:send', event => {
+            savedEstimate = event.detail;
+            const { estimate } = savedEstimate;
+            if (!estimateGroup) return;
+
+            estimateGroup.hidden = false;
+            includeEstimate.checked = true;
+            document.getElementById('formEstimateSummary').textContent =
+                `${formatMoney(estimate.monthlyCost, estimate.currency)}/month for ${estimate.hoursPerWeek} hours a week` +
+                (estimate.monthlySavings > 0 ? `, saving about ${formatMoney(estimate.monthlySavings, estimate.currency)}/month` : '');
+            document.getElementById('includeEstimateError').textContent = '';
+        });
+
+        function resetForm() {
+            pendingSubmission = null;
+            savedEstimate = null;
+            if (estimateGroup) estimateGroup.hidden = true;
+            contactForm.reset();
+            clearDraft();
+            renderServiceDetails();
+            showStep(0);
+            loadConsultationSlots();
+            loadFormToken();
+        }
+
+        // Offline queue: submissions that can't reach the server wait in IndexedDB.
+        // A service worker sends them via background sync where the browser
+        // supports it; elsewhere this page retries when the connection returns.
+        const hasBackgroundSync = 'serviceWorker' in navigator && 'SyncManager' in window;
+        const queueWorker = 'serviceWorker' in navigator
+            ? navigator.serviceWorker.register('/sw.js', { type: 'module' }).catch(error => {
+                console.warn('Could not register service worker:', error);
+                return null;
+            })
+            : Promise.resolve(null);
+        let pageRetries = !hasBackgroundSync;
+
+        async function queueSubmission(key, payload) {
+            try {
+                await enqueueSubmission(key, payload);
+            } catch (error) {
+                console.error('Could not queue submission:', error);
+                return false;
+            }
+            requestQueueRetry();
+            return true;
+        }
+
+        async function requestQueueRetry() {
+            const registration = await queueWorker;
+            if (hasBackgroundSync && registration) {
+                try {
+                    await registration.sync.register(SYNC_TAG);
+                    return;
+                } catch (error) {
+                    console.warn('Background sync unavailable, retrying from the page:', error);
+                }
+            }
+            pageRetries = true;
+        }
+
+        function reportQueueOutcomes(outcomes) {
+            outcomes.forEach(({ ok, result }) => {
+                if (ok) {
+                    const reference = result.leadId ? ` Your reference number is ${result.leadId}.` : '';
+                    showMessage(`You're back online and your queued consultation request has been sent.${reference}`, 'success');
+                } else {
+                    showMessage(`Your queued request couldn't be sent: ${result.error || 'please try again.'}`, 'error');
+                }
+            });
+        }
+
+        async function retryQueuedSubmissions() {
+            if (!pageRetries || !navigator.onLine) return;
+
+            try {
+                const { outcomes } = await flushQueue();
+                reportQueueOutcomes(outcomes);
+            } catch (error) {
+                console.warn('Could not send queued submissions:', error);
+            }
+        }
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', event => {
+                if (event.data?.type === 'queue-flushed') {
+                    reportQueueOutcomes(event.data.outcomes);
+                }
+            });
+        }
+        window.addEventListener('online', retryQueuedSubmissions);
+
+        // Pick up anything still queued from an earlier visit
+        countQueued()
+            .then(count => count && requestQueueRetry())
+            .then(retryQueuedSubmissions)
+            .catch(error => console.warn('Could not read the offline queue:', error));
+
         // Form submission
         contactForm.addEventListener('submit', async function (e) {
             e.preventDefault();
 
+            // Enter on an earlier step moves forward instead of submitting
+            if (currentStep < steps.length - 1) {
+                nextBtn?.click();
+                return;
+            }
+
             // Validate all fields
             if (!validateForm()) {
                 showMessage('Please fix the errors above before submitting.', 'error');
@@ -414,43 +1032,70 @@ document.addEventListener('DOMContentLoaded', function () {
             submitBtn.style.opacity = '0.7';
             formMessage.style.display = 'none';
 
+            let idempotencyKey = null;
+            let formData = null;
+
             try {
                 // Get form data including honey pot
-                const formData = {
+                formData = {
                     name: document.getElementById('name').value.trim(),
                     email: document.getElementById('email').value.trim(),
                     businessType: document.getElementById('businessType').value,
                     serviceInterest: document.getElementById('serviceInterest').value,
                     message: document.getElementById('message').value.trim(),
+                    details: collectServiceDetails(),
+                    timeZone: timeZoneSelect?.value || '',
+                    supportDays: document.getElementById('supportDays')?.value || '',
+                    supportStart: document.getElementById('supportStart')?.value || '',
+                    supportEnd: document.getElementById('supportEnd')?.value || '',
+                    consultationSlot: slotSelect?.value || '',
+                    estimate: savedEstimate && includeEstimate?.checked ? savedEstimate.input : null,
+                    attachments: await readAttachments(),
+                    formToken,
                     company_name: document.getElementById('company_name')?.value || '' // Honey pot field
                 };
+                idempotencyKey = idempotencyKeyFor(formData);
 
                 console.log('Sending form data to Resend API...');
 
                 // Send to Resend API
-                const response = await fetch('/api/send-email', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(formData)
-                });
-
-                const result = await response.json();
+                const { response, result } = await sendSubmission(idempotencyKey, formData);
 
                 if (response.ok) {
                     // Success
-                    showMessage('Thank you! Your consultation request has been sent successfully. We\'ll get back to you within 24 hours.', 'success');
-                    contactForm.reset();
+                    const reference = result.leadId ? ` Your reference number is ${result.leadId}.` : '';
+                    showMessage(`Thank you! Your consultation request has been sent successfully. We'll get back to you within 24 hours.${reference}`, 'success');
+                    resetForm();
                 } else {
                     // Error from API
                     console.error('API Error:', result);
+                    let firstErrorField = null;
+                    Object.entries(result.fieldErrors || {}).forEach(([fieldId, error]) => {
+                        const field = document.getElementById(fieldId);
+                        if (field) {
+                            showFieldError(field, document.getElementById(fieldId + 'Error'), error);
+                            firstErrorField = firstErrorField || field;
+                        }
+                    });
+                    if (firstErrorField) {
+                        focusField(firstErrorField);
+                    }
+
+                    // The chosen slot may have been taken meanwhile
+                    if (result.fieldErrors?.consultationSlot) {
+                        loadConsultationSlots();
+                    }
                     showMessage(result.error || 'Sorry, there was an error sending your message. Please try again.', 'error');
                 }
             } catch (error) {
-                // Network error
+                // Network error: keep the request on this device and send it once we're back online
                 console.error('Network Error:', error);
-                showMessage('Network error. Please check your internet connection and try again.', 'error');
+                if (formData && await queueSubmission(idempotencyKey, formData)) {
+                    showMessage("You're offline right now. Your request is queued and will send automatically when you're back online.", 'queued');
+                    resetForm();
+                } else {
+                    showMessage('Network error. Please check your internet connection and try again.', 'error');
+                }
             } finally {
                 // Re-enable submit button
                 submitBtn.disabled = false;
@@ -473,14 +1118,113 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     }
 
+    function initEstimator() {
+        const estimatorForm = document.getElementById('estimatorForm');
+        if (!estimatorForm) return;
+
+        const servicesContainer = document.getElementById('estimatorServices');
+        const salaryInput = document.getElementById('estimatorSalary');
+        const sendBtn = document.getElementById('estimatorSend');
+        const note = document.getElementById('estimatorNote');
+        const figures = {
+            cost: document.getElementById('estimatorCost'),
+            inHouse: document.getElementById('estimatorInHouse'),
+            savings: document.getElementById('estimatorSavings')
+        };
+        const money = amount => formatMoney(amount, rates.currency);
+        let current = null; // { input, estimate } while the inputs are valid
+
+        // One row per service in the rate table: a checkbox and its weekly hours
+        const rows = Object.entries(rates.hourlyRates).map(([service, hourlyRate]) => {
+            const row = document.createElement('div');
+            row.className = 'estimator-service';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `estimate-${service}`;
+
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.textContent = `${serviceInterestLabels[service]} (${money(hourlyRate)}/h)`;
+
+            const hours = document.createElement('input');
+            hours.type = 'number';
+            hours.min = rates.hoursPerWeek.min;
+            hours.max = rates.hoursPerWeek.max;
+            hours.step = 1;
+            hours.value = rates.hoursPerWeek.default;
+            hours.disabled = true;
+            hours.setAttribute('aria-label', `Hours per week of ${serviceInterestLabels[service]}`);
+
+            const unit = document.createElement('span');
+            unit.className = 'estimator-unit';
+            unit.textContent = 'h/week';
+
+            checkbox.addEventListener('change', () => {
+                hours.disabled = !checkbox.checked;
+            });
+
+            row.append(checkbox, label, hours, unit);
+            servicesContainer.appendChild(row);
+            return { service, checkbox, hours };
+        });
+
+        salaryInput.min = rates.salary.min;
+        salaryInput.max = rates.salary.max;
+        salaryInput.step = rates.salary.step;
+        salaryInput.value = rates.salary.default;
+        document.getElementById('estimatorSalaryHint').textContent =
+            `Full-time salary, from ${money(rates.salary.min)} to ${money(rates.salary.max)}. We add ${Math.round(rates.overheadRate * 100)}% for taxes, benefits and equipment.`;
+
+        function showFigures(estimate) {
+            figures.cost.textContent = estimate ? `${money(estimate.monthlyCost)}/month` : '-';
+            figures.inHouse.textContent = estimate ? `${money(estimate.inHouseMonthlyCost)}/month` : '-';
+            figures.savings.textContent = !estimate
+                ? '-'
+                : estimate.monthlySavings > 0
+                    ? `${money(estimate.monthlySavings)}/month (${estimate.savingsPercent}%)`
+                    : 'None at this salary';
+        }
+
+        function update() {
+            const input = {
+                services: rows
+                    .filter(row => row.checkbox.checked)
+                    .map(row => ({ service: row.service, hoursPerWeek: row.hours.value })),
+                salary: salaryInput.value
+            };
+            const { value, error } = validateEstimateInput(input, rates);
+
+            current = value ? { input: value, estimate: computeEstimate(value, rates) } : null;
+            showFigures(current?.estimate);
+            sendBtn.disabled = !current;
+            note.classList.toggle('is-error', Boolean(error) && input.services.length > 0);
+            note.textContent = current
+                ? `Compared with ${current.estimate.hoursPerWeek} hours a week of an in-house hire on the salary above. Final pricing is confirmed during your consultation.`
+                : input.services.length ? error : 'Pick the services you need to see an estimate.';
+        }
+
+        estimatorForm.addEventListener('input', update);
+        estimatorForm.addEventListener('change', update);
+
+        estimatorForm.addEventListener('submit', function (e) {
+            e.preventDefault();
+            if (!current) return;
+
+            // initContactForm shows it on the request form, already ticked
+            document.dispatchEvent(new CustomEvent('estimator:send', { detail: current }));
+            document.getElementById('contact')?.scrollIntoView({ behavior: 'smooth' });
+            note.textContent = 'Added to your consultation request below.';
+        });
+
+        update();
+    }
+
     function initFallbackAnimations() {
         console.log('Using fallback animations');
 
-        // Initialize mobile menu for fallback too
-        initMobileMenu();
-
-        // Initialize contact form
-        initContactForm();
+        // The mobile menu, contact form and estimator are already set up by
+        // initMainAnimations, which is what falls back to this
 
         // Basic scroll progress without GSAP
         const scrollProgress = document.getElementById('scrollProgress');
@@ -780,26 +1524,35 @@ document.addEventListener('DOMContentLoaded', function () {
 });
 // FAQ Accordion
 function initFAQ() {
-    const faqItems = document.querySelectorAll('.faq-item');
+    const faqItems = [...document.querySelectorAll('.faq-item')];
+    const searchInput = document.getElementById('faqSearch');
+    const searchStatus = document.getElementById('faqSearchStatus');
+
+    // The ids and aria-controls/region wiring come from the content build
+    // (lib/content/render.js); this only keeps aria-expanded in step
+    function setOpen(item, open) {
+        item.classList.toggle('active', open);
+        item.querySelector('.faq-question').setAttribute('aria-expanded', open ? 'true' : 'false');
+    }
+
+    // One item open at a time
+    function openOnly(item) {
+        faqItems.forEach(otherItem => setOpen(otherItem, otherItem === item));
+    }
 
     faqItems.forEach(item => {
         const question = item.querySelector('.faq-question');
 
         question.addEventListener('click', () => {
-            const isActive = item.classList.contains('active');
-
-            // Close all other FAQ items
-            faqItems.forEach(otherItem => {
-                if (otherItem !== item) {
-                    otherItem.classList.remove('active');
+            if (item.classList.contains('active')) {
+                setOpen(item, false);
+                if (location.hash === `#${item.id}`) {
+                    history.replaceState(null, '', location.pathname + location.search);
                 }
-            });
-
-            // Toggle current item
-            if (isActive) {
-                item.classList.remove('active');
             } else {
-                item.classList.add('active');
+                openOnly(item);
+                // Lets the visitor copy a link straight to this answer
+                history.replaceState(null, '', `#${item.id}`);
             }
         });
 
@@ -810,20 +1563,90 @@ function initFAQ() {
                 question.click();
             }
         });
+    });
 
-        // Make focusable
-        question.setAttribute('tabindex', '0');
-        question.setAttribute('role', 'button');
-        question.setAttribute('aria-expanded', 'false');
+    // Deep links: #faq-... (or one of its question/answer ids) opens the item
+    // and scrolls to it
+    function openFromHash() {
+        let id = '';
+        try {
+            id = decodeURIComponent(location.hash.slice(1));
+        } catch (error) {
+            return; // a malformed hash such as #%E0 can't name an item
+        }
+        const item = id ? document.getElementById(id)?.closest('.faq-item') : null;
+        if (!item || !faqItems.includes(item)) return;
 
-        // Update aria-expanded on toggle
-        const observer = new MutationObserver(() => {
-            const isActive = item.classList.contains('active');
-            question.setAttribute('aria-expanded', isActive ? 'true' : 'false');
+        if (item.hidden && searchInput) {
+            searchInput.value = '';
+            filterItems();
+        }
+        openOnly(item);
+        item.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        item.querySelector('.faq-question').focus({ preventScroll: true });
+    }
+
+    window.addEventListener('hashchange', openFromHash);
+    // Waits for the loading screen: it keeps the page at the top and scrolls
+    // back there when it hides (handleLoadingScreen), which would undo ours
+    document.addEventListener('page:ready', openFromHash, { once: true });
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Search: every word must appear in the question or its answer. Matches
+    // in the question are highlighted.
+    function highlight(heading, terms) {
+        heading.dataset.text ??= heading.textContent;
+        const text = heading.dataset.text;
+        if (!terms.length) {
+            heading.textContent = text;
+            return;
+        }
+
+        const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+        heading.replaceChildren(...text.split(pattern).map((part, index) => {
+            if (index % 2 === 0) return document.createTextNode(part);
+            const mark = document.createElement('mark');
+            mark.textContent = part;
+            return mark;
+        }));
+    }
+
+    function filterItems() {
+        const query = searchInput.value.trim().toLowerCase();
+        const terms = query.split(/\s+/).filter(Boolean);
+        let shown = 0;
+
+        faqItems.forEach(item => {
+            const heading = item.querySelector('.faq-question h3');
+            const answer = item.querySelector('.faq-answer');
+            const haystack = `${heading.dataset.text ?? heading.textContent} ${answer.textContent}`.toLowerCase();
+            const matches = terms.every(term => haystack.includes(term));
+
+            item.hidden = !matches;
+            if (!matches) setOpen(item, false);
+            highlight(heading, matches ? terms : []);
+            shown += matches ? 1 : 0;
         });
 
-        observer.observe(item, { attributes: true, attributeFilter: ['class'] });
-    });
+        if (!terms.length) {
+            searchStatus.textContent = '';
+        } else if (shown) {
+            searchStatus.textContent = `${shown} of ${faqItems.length} questions match "${searchInput.value.trim()}"`;
+        } else {
+            searchStatus.textContent = `No questions match "${searchInput.value.trim()}". Ask us directly in the form below.`;
+        }
+    }
+
+    if (searchInput && searchStatus) {
+        let searchTimer = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(filterItems, 150);
+        });
+    }
 }
 
 // Initialize FAQ
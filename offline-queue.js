@@ -0,0 +1,111 @@
+// Offline submission queue, shared by main.js and the service worker (sw.js).
+// Submissions that couldn't reach /api/send-email wait in IndexedDB, keyed by
+// their idempotency key, until a retry gets a definite answer from the server.
+
+const DB_NAME = 'sani-solutions';
+const STORE_NAME = 'queued-submissions';
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const SYNC_TAG = 'send-queued-submissions';
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs one request against the store and resolves with its result once the transaction commits
+async function withStore(mode, run) {
+    const db = await openDatabase();
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = run(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+export function createIdempotencyKey() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Posts a submission; throws when the server can't be reached
+export async function sendSubmission(key, payload) {
+    const response = await fetch('/api/send-email', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': key
+        },
+        body: JSON.stringify(payload)
+    });
+    const result = await response.json().catch(() => ({}));
+    return { response, result };
+}
+
+export function enqueueSubmission(key, payload) {
+    return withStore('readwrite', store => store.put({ key, payload, queuedAt: Date.now(), attempts: 0 }));
+}
+
+export function countQueued() {
+    return withStore('readonly', store => store.count());
+}
+
+let flushing = null;
+
+// Retries every queued submission once. Items that got a final answer (sent or
+// rejected) are removed and reported in `outcomes`; the rest stay queued.
+export function flushQueue() {
+    if (!flushing) {
+        flushing = runFlush().finally(() => {
+            flushing = null;
+        });
+    }
+    return flushing;
+}
+
+async function runFlush() {
+    const items = await withStore('readonly', store => store.getAll());
+    const outcomes = [];
+
+    for (const item of items) {
+        if (Date.now() - item.queuedAt > MAX_AGE_MS) {
+            console.warn(`Dropping queued submission ${item.key}: older than ${MAX_AGE_MS / 86400000} days`);
+            await withStore('readwrite', store => store.delete(item.key));
+            continue;
+        }
+
+        let sent;
+        try {
+            sent = await sendSubmission(item.key, item.payload);
+        } catch (error) {
+            // Still offline; leave everything for the next attempt
+            break;
+        }
+
+        const { response, result } = sent;
+        if (response.status >= 500 || response.status === 429) {
+            await withStore('readwrite', store => store.put({ ...item, attempts: item.attempts + 1 }));
+            continue;
+        }
+
+        await withStore('readwrite', store => store.delete(item.key));
+        outcomes.push({ key: item.key, ok: response.ok, result });
+    }
+
+    return { outcomes, remaining: await countQueued() };
+}
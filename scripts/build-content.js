@@ -0,0 +1,29 @@
+// Renders content/ into index.html. Malformed content exits non-zero without
+// touching the page, which fails the deploy's build step.
+//   node scripts/build-content.js          rewrite index.html
+//   node scripts/build-content.js --check  only report whether it is up to date
+import { promises as fs } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { ContentError, loadContent, renderPage } from '../lib/content/index.js';
+
+const pagePath = fileURLToPath(new URL('../index.html', import.meta.url));
+const checkOnly = process.argv.includes('--check');
+
+try {
+  const page = await fs.readFile(pagePath, 'utf8');
+  const built = renderPage(page, await loadContent());
+
+  if (built === page) {
+    console.log('index.html is up to date');
+  } else if (checkOnly) {
+    console.error('index.html is out of date; run `npm run build`');
+    process.exitCode = 1;
+  } else {
+    await fs.writeFile(pagePath, built);
+    console.log('index.html rebuilt from content/');
+  }
+} catch (error) {
+  if (!(error instanceof ContentError)) throw error;
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,6 @@
+// Runs the mail queue retry job once, e.g. from a system cron on a self-hosted box.
+//   node scripts/retry-emails.js
+import { retryQueuedMail } from '../lib/mail-queue/index.js';
+
+const summary = await retryQueuedMail();
+console.log(JSON.stringify(summary));
@@ -0,0 +1,6 @@
+// Runs the webhook retry job once, e.g. from a system cron on a self-hosted box.
+//   node scripts/retry-webhooks.js
+import { retryDueWebhooks } from '../lib/webhooks/index.js';
+
+const summary = await retryDueWebhooks();
+console.log(JSON.stringify(summary));
@@ -0,0 +1,17 @@
+// Dry run for lead routing: prints the route a payload would take, sends nothing.
+//   node scripts/route-lead.js serviceInterest=webdev businessType=tech
+//   node scripts/route-lead.js '{"serviceInterest":"full"}'
+import { resolveRoute } from '../lib/routing.js';
+import { validateFormData } from '../shared/form-schema.js';
+
+const args = process.argv.slice(2);
+const payload = args[0]?.startsWith('{')
+  ? JSON.parse(args[0])
+  : Object.fromEntries(args.map(arg => arg.split('=')));
+
+const validation = validateFormData({ name: 'Dry Run', email: 'dry-run@example.com', message: '-', businessType: 'other', ...payload });
+if (validation.errors.serviceInterest || validation.errors.businessType) {
+  console.warn('Warning: payload would fail validation:', validation.errors);
+}
+
+console.log(JSON.stringify({ payload, route: resolveRoute(payload) }, null, 2));
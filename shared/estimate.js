@@ -0,0 +1,95 @@
+import rates from '../config/rates.js';
+import { serviceInterestLabels } from './form-schema.js';
+
+// Cost-savings estimate, computed the same way by the estimator on the site
+// and by /api/send-email, which recomputes it from the inputs rather than
+// trusting numbers sent by the browser.
+//   input: { services: [{ service, hoursPerWeek }], salary }
+
+// Checks estimator input. -> { value, error }, value being a clean copy of the input
+export function validateEstimateInput(input, table = rates) {
+  const services = Array.isArray(input?.services) ? input.services : [];
+  if (!services.length) {
+    return { value: null, error: 'Please pick at least one service for the estimate' };
+  }
+
+  const seen = new Set();
+  const value = { services: [], salary: Number(input.salary) };
+  for (const item of services) {
+    const hoursPerWeek = Number(item?.hoursPerWeek);
+    if (!Object.hasOwn(table.hourlyRates, item?.service) || seen.has(item.service)) {
+      return { value: null, error: 'The estimate includes an unknown service' };
+    }
+    if (!Number.isInteger(hoursPerWeek) || hoursPerWeek < table.hoursPerWeek.min || hoursPerWeek > table.hoursPerWeek.max) {
+      return { value: null, error: `Hours per week must be a whole number from ${table.hoursPerWeek.min} to ${table.hoursPerWeek.max}` };
+    }
+    seen.add(item.service);
+    value.services.push({ service: item.service, hoursPerWeek });
+  }
+
+  if (!Number.isInteger(value.salary) || value.salary < table.salary.min || value.salary > table.salary.max) {
+    return {
+      value: null,
+      error: `The in-house salary must be from ${formatMoney(table.salary.min, table.currency)} to ${formatMoney(table.salary.max, table.currency)}`,
+    };
+  }
+
+  return { value, error: '' };
+}
+
+// Monthly figures, rounded to whole currency units. Savings are negative when
+// the in-house baseline is the cheaper option.
+export function computeEstimate(input, table = rates) {
+  const lines = input.services.map(({ service, hoursPerWeek }) => ({
+    service,
+    label: serviceInterestLabels[service],
+    hoursPerWeek,
+    hourlyRate: table.hourlyRates[service],
+    monthlyCost: Math.round(hoursPerWeek * table.hourlyRates[service] * table.weeksPerMonth),
+  }));
+  const hoursPerWeek = lines.reduce((total, line) => total + line.hoursPerWeek, 0);
+  const monthlyCost = lines.reduce((total, line) => total + line.monthlyCost, 0);
+  const inHouseMonthlyCost = Math.round(
+    (input.salary * (1 + table.overheadRate) / 12) * (hoursPerWeek / table.fullTimeHoursPerWeek)
+  );
+  const monthlySavings = inHouseMonthlyCost - monthlyCost;
+
+  return {
+    currency: table.currency,
+    salary: input.salary,
+    overheadRate: table.overheadRate,
+    lines,
+    hoursPerWeek,
+    monthlyCost,
+    inHouseMonthlyCost,
+    monthlySavings,
+    savingsPercent: inHouseMonthlyCost ? Math.round((monthlySavings / inHouseMonthlyCost) * 100) : 0,
+  };
+}
+
+// 1234 -> '$1,234'
+export function formatMoney(amount, currency = rates.currency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+}
+
+// Human-readable [label, value] rows for emails and the dashboard
+export function describeEstimate(estimate) {
+  const money = amount => formatMoney(amount, estimate.currency);
+  return [
+    ...estimate.lines.map(line => [
+      line.label,
+      `${line.hoursPerWeek} h/week at ${money(line.hourlyRate)}/h = ${money(line.monthlyCost)}/month`,
+    ]),
+    ['Estimated VA Cost', `${money(estimate.monthlyCost)}/month`],
+    [
+      'In-House Baseline',
+      `${money(estimate.inHouseMonthlyCost)}/month (${money(estimate.salary)}/year salary + ${Math.round(estimate.overheadRate * 100)}% overhead)`,
+    ],
+    [
+      'Estimated Savings',
+      estimate.monthlySavings > 0
+        ? `${money(estimate.monthlySavings)}/month (${estimate.savingsPercent}%)`
+        : 'None at this salary baseline',
+    ],
+  ];
+}
@@ -0,0 +1,379 @@
+// Contact form schema, shared by the browser (main.js) and the API.
+// Field rules, limits, select options and human-readable labels all live here.
+
+export const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const formSchema = {
+  name: {
+    type: 'text',
+    label: 'Name',
+    required: true,
+    maxLength: 100,
+  },
+  email: {
+    type: 'email',
+    label: 'Email',
+    required: true,
+    maxLength: 254,
+  },
+  businessType: {
+    type: 'select',
+    label: 'Business Type',
+    required: true,
+    placeholder: 'Select industry/type',
+    emptyLabel: 'Not specified', // leads sent to the API without one before it was enforced
+    options: [
+      { value: 'tech', label: 'Technology/SaaS' },
+      { value: 'ecom', label: 'E-commerce/Retail' },
+      { value: 'services', label: 'Professional Services', formLabel: 'Professional Services (Law, Finance, etc.)' },
+      { value: 'other', label: 'Other/Not listed' },
+    ],
+  },
+  serviceInterest: {
+    type: 'select',
+    label: 'Service Interest',
+    required: true,
+    placeholder: 'Select a service',
+    options: [
+      { value: 'admin', label: 'Administrative & Back-Office Support' },
+      { value: 'customer', label: 'Customer Support & Lead Setting' },
+      { value: 'webdev', label: 'Web Development / Automation' },
+      { value: 'full', label: 'Full-Service Dedicated VA' },
+    ],
+  },
+  message: {
+    type: 'textarea',
+    label: 'Support Needs',
+    required: true,
+    maxLength: 2000,
+  },
+  timeZone: {
+    type: 'timezone', // IANA name, detected in the browser and adjustable
+    label: 'Time Zone',
+    required: false,
+    requiredWith: 'supportStart', // support hours mean nothing without it
+    maxLength: 64,
+  },
+  supportDays: {
+    type: 'select',
+    label: 'Support Days',
+    required: false,
+    placeholder: 'Select days',
+    emptyLabel: 'Not specified',
+    options: [
+      { value: 'weekdays', label: 'Weekdays (Mon-Fri)' },
+      { value: 'weekends', label: 'Weekends' },
+      { value: 'everyday', label: 'Every day' },
+      { value: 'flexible', label: 'Flexible' },
+    ],
+  },
+  supportStart: {
+    type: 'time', // 'HH:MM' in the visitor's time zone
+    label: 'Support Hours Start',
+    required: false,
+    requiredWith: 'supportEnd',
+    maxLength: 5,
+  },
+  supportEnd: {
+    type: 'time', // may be earlier than the start for overnight support
+    label: 'Support Hours End',
+    required: false,
+    requiredWith: 'supportStart',
+    maxLength: 5,
+  },
+  consultationSlot: {
+    type: 'slot', // start time (ISO 8601) of a slot from /api/slots
+    label: 'Consultation Time',
+    required: false,
+    maxLength: 30,
+  },
+};
+
+export const formFields = Object.keys(formSchema);
+
+// Follow-up questions asked in the intake wizard, per serviceInterest value.
+// Answers are sent as `details` and shown in the notification email.
+export const serviceQuestions = {
+  admin: [
+    { name: 'tools', type: 'text', label: 'Tools you use today', placeholder: 'e.g. Google Workspace, Asana, QuickBooks', required: true, maxLength: 200 },
+    { name: 'hoursPerWeek', type: 'number', label: 'Hours of support per week', required: true, min: 1, max: 80 },
+  ],
+  customer: [
+    { name: 'ticketVolume', type: 'number', label: 'Tickets or inquiries per week', required: true, min: 0, max: 100000 },
+    {
+      name: 'channels',
+      type: 'checkboxes',
+      label: 'Support channels',
+      required: true,
+      options: [
+        { value: 'email', label: 'Email' },
+        { value: 'chat', label: 'Live chat' },
+        { value: 'phone', label: 'Phone' },
+        { value: 'social', label: 'Social media' },
+        { value: 'helpdesk', label: 'Help desk (Zendesk, Freshdesk, etc.)' },
+      ],
+    },
+  ],
+  webdev: [
+    { name: 'stack', type: 'text', label: 'Current stack or platform', placeholder: 'e.g. WordPress, Shopify, React', required: true, maxLength: 200 },
+    { name: 'deadline', type: 'date', label: 'Target deadline', required: false },
+  ],
+  full: [],
+};
+
+// Optional file attachments. Types are keyed by extension; the first MIME type
+// is canonical, the rest are aliases some browsers report.
+export const attachmentRules = {
+  maxFiles: 3,
+  maxFileBytes: 2 * 1024 * 1024,
+  maxTotalBytes: 3 * 1024 * 1024,
+  types: {
+    pdf: ['application/pdf'],
+    doc: ['application/msword'],
+    docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    xls: ['application/vnd.ms-excel'],
+    xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    csv: ['text/csv', 'application/csv', 'application/vnd.ms-excel'],
+    txt: ['text/plain'],
+    png: ['image/png'],
+    jpg: ['image/jpeg'],
+    jpeg: ['image/jpeg'],
+  },
+};
+
+// Value for the file input's `accept` attribute
+export const attachmentAccept = Object.keys(attachmentRules.types).map(extension => `.${extension}`).join(',');
+
+// Types browsers send when they don't know better
+const genericTypes = ['', 'application/octet-stream'];
+
+export function fileExtension(filename) {
+  const index = filename.lastIndexOf('.');
+  return index === -1 ? '' : filename.slice(index + 1).toLowerCase();
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+}
+
+// Returns an error message for one file ({ name, type, size }), or ''
+export function validateAttachment({ name, type, size }) {
+  const allowedTypes = attachmentRules.types[fileExtension(name)];
+
+  if (!allowedTypes) {
+    return 'This file type is not allowed';
+  }
+  if (!genericTypes.includes(type || '') && !allowedTypes.includes(type)) {
+    return 'The file type does not match its extension';
+  }
+  if (!size) {
+    return 'This file is empty';
+  }
+  if (size > attachmentRules.maxFileBytes) {
+    return `Files must be ${formatBytes(attachmentRules.maxFileBytes)} or smaller`;
+  }
+  return '';
+}
+
+// Checks count, total size and every file. `errors` lists per-file problems
+// ({ name, error }, name is '' for the set as a whole); `error` joins them for display.
+export function validateAttachments(files) {
+  const errors = [];
+
+  if (files.length > attachmentRules.maxFiles) {
+    errors.push({ name: '', error: `You can attach up to ${attachmentRules.maxFiles} files` });
+  }
+
+  let totalBytes = 0;
+  files.forEach(file => {
+    totalBytes += file.size || 0;
+    const error = validateAttachment(file);
+    if (error) {
+      errors.push({ name: file.name, error });
+    }
+  });
+
+  if (totalBytes > attachmentRules.maxTotalBytes) {
+    errors.push({ name: '', error: `Attachments can total ${formatBytes(attachmentRules.maxTotalBytes)} at most` });
+  }
+
+  return {
+    errors,
+    error: errors.map(({ name, error }) => (name ? `${name}: ${error}` : error)).join('\n'),
+  };
+}
+
+// { value: label } map for a select field, including '' when the field has an emptyLabel
+export function optionLabels(fieldName) {
+  const field = formSchema[fieldName];
+  const labels = {};
+  for (const option of field.options) {
+    labels[option.value] = option.label;
+  }
+  if (field.emptyLabel) {
+    labels[''] = field.emptyLabel;
+  }
+  return labels;
+}
+
+export const businessTypeLabels = optionLabels('businessType');
+export const serviceInterestLabels = optionLabels('serviceInterest');
+export const supportDaysLabels = optionLabels('supportDays');
+
+let timeZoneNames = null;
+
+// Checks a name against the IANA zones in this runtime's Intl data. Aliases
+// (e.g. Asia/Kolkata vs Asia/Calcutta) are matched through their canonical
+// name, since browsers and Node don't always agree on which one to report.
+export function isTimeZone(value) {
+  if (!/^[A-Za-z_]+(\/[A-Za-z0-9_+-]+){0,2}$/.test(value)) return false;
+
+  if (!timeZoneNames) {
+    timeZoneNames = new Set(typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []);
+    timeZoneNames.add('UTC');
+  }
+  if (timeZoneNames.has(value)) return true;
+
+  try {
+    return timeZoneNames.has(new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone);
+  } catch {
+    return false;
+  }
+}
+
+// Returns an error message for the value, or '' when it's valid. `data` holds
+// the other field values, for fields that are only required alongside another.
+export function validateField(fieldName, value, data = {}) {
+  const field = formSchema[fieldName];
+  const text = typeof value === 'string' ? value.trim() : '';
+
+  if (!text) {
+    const requiredWith = field.requiredWith && typeof data[field.requiredWith] === 'string' && data[field.requiredWith].trim();
+    if (!field.required && !requiredWith) return '';
+    if (field.type === 'time') return 'Please pick both a start and an end time';
+    if (field.type === 'timezone') return 'Please select your time zone';
+    return field.type === 'select' || field.type === 'slot' ? 'Please select an option' : 'This field is required';
+  }
+
+  if (field.maxLength && text.length > field.maxLength) {
+    return `Please keep this under ${field.maxLength} characters`;
+  }
+
+  if (field.type === 'email' && !emailPattern.test(text)) {
+    return 'Please enter a valid work email address';
+  }
+
+  if (field.type === 'slot' && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/.test(text)) {
+    return 'Please pick one of the available times';
+  }
+
+  if (field.type === 'time' && !/^([01]\d|2[0-3]):[0-5]\d$/.test(text)) {
+    return 'Please enter a time like 09:00';
+  }
+
+  if (field.type === 'timezone' && !isTimeZone(text)) {
+    return 'Please select a time zone from the list';
+  }
+
+  if (field.type === 'select' && !field.options.some(option => option.value === text)) {
+    return 'Please select a valid option';
+  }
+
+  return '';
+}
+
+// Returns an error message for one follow-up answer, or ''
+export function validateDetail(question, value) {
+  const isEmpty = Array.isArray(value) ? value.length === 0 : !String(value ?? '').trim();
+
+  if (isEmpty) {
+    if (!question.required) return '';
+    return question.type === 'checkboxes' ? 'Please select at least one option' : 'This field is required';
+  }
+
+  switch (question.type) {
+    case 'text':
+      return String(value).trim().length > question.maxLength
+        ? `Please keep this under ${question.maxLength} characters`
+        : '';
+    case 'number': {
+      const number = Number(value);
+      return /^\d+$/.test(String(value).trim()) && number >= question.min && number <= question.max
+        ? ''
+        : `Please enter a whole number between ${question.min} and ${question.max}`;
+    }
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) ? '' : 'Please enter a valid date';
+    case 'checkboxes':
+      return Array.isArray(value) && value.every(item => question.options.some(option => option.value === item))
+        ? ''
+        : 'Please select a valid option';
+    default:
+      return '';
+  }
+}
+
+// Validates the follow-up answers for a service. `values` holds the cleaned
+// answers (numbers as numbers, unknown keys dropped).
+export function validateServiceDetails(serviceInterest, details = {}) {
+  const errors = {};
+  const values = {};
+
+  for (const question of serviceQuestions[serviceInterest] || []) {
+    const value = details?.[question.name];
+    const error = validateDetail(question, value);
+
+    if (error) {
+      errors[question.name] = error;
+    } else if (question.type === 'number' && String(value ?? '').trim()) {
+      values[question.name] = Number(value);
+    } else if (question.type === 'checkboxes') {
+      values[question.name] = Array.isArray(value) ? value : [];
+    } else {
+      values[question.name] = String(value ?? '').trim();
+    }
+  }
+
+  const [firstQuestion] = Object.keys(errors);
+  const label = firstQuestion && serviceQuestions[serviceInterest].find(question => question.name === firstQuestion).label;
+  return {
+    isValid: !firstQuestion,
+    errors,
+    values,
+    error: firstQuestion ? `${label}: ${errors[firstQuestion]}` : '',
+  };
+}
+
+// Human-readable [label, answer] rows for the notification email
+export function describeServiceDetails(serviceInterest, details = {}) {
+  return (serviceQuestions[serviceInterest] || [])
+    .filter(question => details[question.name] !== undefined && details[question.name] !== '')
+    .map(question => {
+      const value = details[question.name];
+      if (question.type === 'checkboxes') {
+        return [question.label, value.map(item => question.options.find(option => option.value === item)?.label || item).join(', ') || 'None'];
+      }
+      return [question.label, String(value)];
+    });
+}
+
+// Validates every field. `error` summarises the first problem for API responses.
+export function validateFormData(data) {
+  const errors = {};
+
+  for (const fieldName of formFields) {
+    const error = validateField(fieldName, data[fieldName], data);
+    if (error) {
+      errors[fieldName] = error;
+    }
+  }
+
+  const [firstField] = Object.keys(errors);
+  return {
+    isValid: !firstField,
+    errors,
+    error: firstField ? `${formSchema[firstField].label}: ${errors[firstField]}` : '',
+  };
+}
@@ -0,0 +1,30 @@
+// Service worker: sends contact form submissions that were queued while offline.
+// Registered as a module worker from main.js; it doesn't intercept any requests.
+import { flushQueue, SYNC_TAG } from './offline-queue.js';
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(self.clients.claim());
+});
+
+async function flushAndNotify() {
+    const { outcomes, remaining } = await flushQueue();
+
+    // Let any open page tell the visitor how it went
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'queue-flushed', outcomes, remaining }));
+
+    // Rejecting makes the browser schedule another sync attempt with backoff
+    if (remaining) {
+        throw new Error(`${remaining} queued submission(s) still waiting`);
+    }
+}
+
+self.addEventListener('sync', event => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(flushAndNotify());
+    }
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { after, describe, it } from 'node:test';
+import { startFakeRedis } from './helpers/fake-redis.js';
+
+// Config is read on import: a Vercel deployment with REDIS_URL set
+const redis = await startFakeRedis();
+Object.assign(process.env, { VERCEL: '1', REDIS_URL: redis.url, LOG_LEVEL: 'silent' });
+delete process.env.BOOKING_STORE;
+
+const { config } = await import('../lib/config.js');
+const { createBookingStore } = await import('../lib/booking/index.js');
+
+after(() => redis.close());
+
+function slotIn(hours) {
+  const start = new Date(Date.now() + hours * 60 * 60 * 1000);
+  start.setUTCMinutes(0, 0, 0);
+  return { start: start.toISOString(), end: new Date(start.getTime() + 30 * 60 * 1000).toISOString() };
+}
+
+describe('booking store on Redis', () => {
+  it('is the default when REDIS_URL is set', () => {
+    assert.equal(config.booking.store, 'redis');
+  });
+
+  it('lets only one instance reserve a slot', async () => {
+    const slot = slotIn(48);
+    const stores = Array.from({ length: 5 }, () => createBookingStore({ store: 'redis', redisUrl: redis.url }));
+
+    const results = await Promise.all(stores.map((store, index) => store.reserve(slot, `SS-${index}`)));
+    assert.equal(results.filter(Boolean).length, 1);
+
+    const bookings = await stores[0].list();
+    assert.deepEqual(bookings.map(booking => booking.start), [slot.start]);
+    assert.equal(bookings[0].leadId, `SS-${results.indexOf(true)}`);
+  });
+
+  it('frees a released slot for the next reservation', async () => {
+    const slot = slotIn(72);
+    const store = createBookingStore({ store: 'redis', redisUrl: redis.url });
+
+    assert.equal(await store.reserve(slot, 'SS-first'), true);
+    await store.release(slot.start);
+    assert.equal((await store.list()).some(booking => booking.start === slot.start), false);
+    assert.equal(await store.reserve(slot, 'SS-second'), true);
+  });
+});
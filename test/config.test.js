@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+
+const storeVariables = ['RATE_LIMIT_STORE', 'LEAD_STORE', 'BOOKING_STORE', 'WEBHOOK_STORE', 'MAIL_QUEUE_STORE'];
+const saved = { ...process.env };
+let loads = 0;
+
+// A fresh copy of lib/config.js, evaluated with `env` on top of a clean environment
+function loadConfig(env) {
+  for (const name of ['VERCEL', 'REDIS_URL', ...storeVariables]) delete process.env[name];
+  Object.assign(process.env, env);
+  return import(`../lib/config.js?load=${++loads}`).then(module => module.config);
+}
+
+describe('store configuration', () => {
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  it('uses local stores by default', async () => {
+    const config = await loadConfig({});
+    assert.deepEqual(
+      [config.rateLimit, config.leads, config.booking, config.webhooks, config.mailQueue].map(settings => settings.store),
+      ['memory', 'file', 'file', 'file', 'file']
+    );
+  });
+
+  it('puts every store in Redis when REDIS_URL is set', async () => {
+    const config = await loadConfig({ REDIS_URL: 'redis://127.0.0.1:6379' });
+    for (const settings of [config.rateLimit, config.leads, config.booking, config.webhooks, config.mailQueue]) {
+      assert.equal(settings.store, 'redis');
+      assert.equal(settings.redisUrl, 'redis://127.0.0.1:6379');
+    }
+  });
+
+  it('refuses to load on a serverless host without Redis', async () => {
+    await assert.rejects(loadConfig({ VERCEL: '1' }), /Every store must be "redis" on serverless hosts; REDIS_URL is not set/);
+  });
+
+  it('refuses a local store chosen explicitly on a serverless host', async () => {
+    await assert.rejects(
+      loadConfig({ VERCEL: '1', REDIS_URL: 'redis://127.0.0.1:6379', BOOKING_STORE: 'file' }),
+      /found BOOKING_STORE=file/
+    );
+  });
+
+  it('loads on a serverless host with Redis', async () => {
+    const config = await loadConfig({ VERCEL: '1', REDIS_URL: 'redis://127.0.0.1:6379' });
+    assert.equal(config.serverless, true);
+  });
+});
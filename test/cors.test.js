@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { config } from '../lib/config.js';
+import { isOriginAllowed } from '../lib/cors.js';
+
+const req = { headers: { host: 'sani-solutions.vercel.app' } };
+
+describe('isOriginAllowed', () => {
+  it('does not let other Vercel projects through by default', () => {
+    assert.equal(isOriginAllowed('https://sani-solutions-evil.vercel.app', req), false);
+    assert.equal(isOriginAllowed('https://sani-solutions.vercel.app', req), true);
+    assert.ok(!config.cors.allowedOrigins.some(entry => entry.includes('*')));
+  });
+
+  it('always allows a deployment to post to itself', () => {
+    const preview = { headers: { host: 'sani-solutions-git-main-acme.vercel.app' } };
+    assert.equal(isOriginAllowed('https://sani-solutions-git-main-acme.vercel.app', preview), true);
+  });
+
+  it('limits a team-scoped wildcard to that team', () => {
+    const allowed = ['https://sani-solutions-*-acme.vercel.app'];
+    assert.equal(isOriginAllowed('https://sani-solutions-git-main-acme.vercel.app', req, allowed), true);
+    assert.equal(isOriginAllowed('https://sani-solutions-anything.vercel.app', req, allowed), false);
+    assert.equal(isOriginAllowed('https://sani-solutions-x-other.vercel.app', req, allowed), false);
+  });
+});
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+Object.assign(process.env, { LOG_LEVEL: 'silent', EMAIL_PREVIEW_TOKEN: 'preview-token' });
+const { default: handler } = await import('../api/email-preview.js');
+
+function preview({ query = {}, headers = {} } = {}) {
+  const res = mockResponse();
+  handler(mockRequest({ method: 'GET', query, headers }), res);
+  return res;
+}
+
+const authorization = 'Bearer preview-token';
+
+describe('GET /api/email-preview', () => {
+  it('renders a template for the Authorization header', () => {
+    const res = preview({ query: { template: 'confirmation', format: 'text' }, headers: { authorization } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'text/plain; charset=utf-8');
+  });
+
+  it('does not accept the token in the query string', () => {
+    const res = preview({ query: { token: 'preview-token' } });
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('hands out a signed link that opens that preview only', () => {
+    const { body } = preview({ query: { template: 'confirmation', format: 'html', link: '1' }, headers: { authorization } });
+    assert.ok(!body.path.includes('preview-token'));
+    const query = Object.fromEntries(new URL(body.path, 'http://localhost').searchParams);
+
+    assert.equal(preview({ query }).statusCode, 200);
+    assert.equal(preview({ query: { ...query, template: 'notification' } }).statusCode, 401);
+    assert.equal(preview({ query: { ...query, expires: String(Date.now() - 1000) } }).statusCode, 401);
+  });
+
+  it('does not hand out links to a link holder', () => {
+    const { body } = preview({ query: { link: '1' }, headers: { authorization } });
+    const query = Object.fromEntries(new URL(body.path, 'http://localhost').searchParams);
+
+    const res = preview({ query: { ...query, link: '1' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.path, undefined);
+  });
+});
@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import { toCsv } from '../lib/csv.js';
+import { encodeCsvCell, encodeHeader, encodeLogValue, escapeHtml } from '../lib/encoding.js';
+import { createLogger } from '../lib/logger.js';
+import { renderTemplate } from '../lib/templates/index.js';
+import { samples } from '../lib/templates/samples.js';
+
+const payload = '<script>alert("x")</script> & \'quoted\'';
+
+function hostileLead(fields) {
+  return { ...samples.notification.lead, ...fields };
+}
+
+describe('escapeHtml', () => {
+  it('escapes the characters that matter in content and quoted attributes', () => {
+    assert.equal(escapeHtml(payload), '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;quoted&#39;');
+  });
+
+  it('turns null and undefined into empty strings', () => {
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(undefined), '');
+  });
+});
+
+describe('HTML email templates', () => {
+  for (const name of ['notification', 'confirmation']) {
+    it(`${name} escapes lead data`, () => {
+      const lead = hostileLead({ name: payload, message: `${payload}\nsecond line` });
+      const { html } = renderTemplate(name, { ...samples[name], lead });
+
+      assert.ok(!html.includes('<script>'), 'raw markup leaked into the HTML part');
+      assert.ok(html.includes('&lt;script&gt;'));
+    });
+  }
+
+  it('keeps line breaks in the message as <br>', () => {
+    const lead = hostileLead({ message: 'first <b>\nsecond' });
+    const { html } = renderTemplate('notification', { ...samples.notification, lead });
+
+    assert.ok(html.includes('first &lt;b&gt;<br>second'));
+  });
+});
+
+describe('plain-text email templates', () => {
+  it('leaves lead data as typed', () => {
+    const lead = hostileLead({ name: 'Tom & Jerry <Co>', message: 'Use "quotes" & <tags>' });
+    const { text } = renderTemplate('notification', { ...samples.notification, lead });
+
+    assert.ok(text.includes('Name: Tom & Jerry <Co>'));
+    assert.ok(text.includes('Use "quotes" & <tags>'));
+    assert.ok(!text.includes('&amp;'));
+  });
+});
+
+describe('encodeHeader', () => {
+  it('removes CR/LF so a subject cannot add headers', () => {
+    assert.equal(encodeHeader('Hello\r\nBcc: victim@example.com'), 'Hello Bcc: victim@example.com');
+    assert.equal(encodeHeader('a\nb\rc d'), 'a b c d');
+  });
+
+  it('truncates long values', () => {
+    const value = encodeHeader('x'.repeat(300), 10);
+    assert.equal(value.length, 10);
+    assert.ok(value.endsWith('…'));
+  });
+
+  it('is applied to rendered subjects', () => {
+    const lead = hostileLead({ name: 'Eve\r\nBcc: victim@example.com' });
+    const { subject } = renderTemplate('notification', { ...samples.notification, lead });
+
+    assert.ok(!/[\r\n]/.test(subject));
+    assert.ok(subject.includes('Eve Bcc: victim@example.com'));
+  });
+});
+
+describe('encodeCsvCell and toCsv', () => {
+  for (const prefix of ['=', '+', '-', '@']) {
+    it(`neutralises cells starting with ${prefix}`, () => {
+      assert.equal(encodeCsvCell(`${prefix}HYPERLINK("http://evil")`), `"'${prefix}HYPERLINK(""http://evil"")"`);
+    });
+  }
+
+  it('quotes commas, quotes and line breaks', () => {
+    assert.equal(encodeCsvCell('a,b'), '"a,b"');
+    assert.equal(encodeCsvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(encodeCsvCell('line\nbreak'), '"line\nbreak"');
+    assert.equal(encodeCsvCell('plain'), 'plain');
+    assert.equal(encodeCsvCell(null), '');
+  });
+
+  it('builds rows with CRLF line endings', () => {
+    const csv = toCsv(
+      [{ name: '=1+1', note: 'a, "b"' }],
+      [{ header: 'Name', value: row => row.name }, { header: 'Note', value: row => row.note }]
+    );
+    assert.equal(csv, 'Name,Note\r\n\'=1+1,"a, ""b"""\r\n');
+  });
+});
+
+describe('encodeLogValue', () => {
+  it('escapes the line separators JSON.stringify leaves as they are', () => {
+    assert.equal(encodeLogValue('a\u2028b\u2029c\u0085d'), 'a\\u2028b\\u2029c\\u0085d');
+  });
+
+  it('leaves other text alone and cuts long values short', () => {
+    assert.equal(encodeLogValue('line one\nline two'), 'line one\nline two');
+    assert.equal(encodeLogValue('abcdef', 3), 'abc…');
+    assert.equal(encodeLogValue(undefined), '');
+  });
+});
+
+describe('logger output', () => {
+  const settings = {
+    level: 'info',
+    redact: { email: 'hash', name: 'remove', ip: 'mask' },
+    hashSalt: 'test-salt',
+  };
+
+  function capture(fn) {
+    const log = mock.method(console, 'log', () => {});
+    try {
+      fn();
+      return log.mock.calls.map(call => JSON.parse(call.arguments[0]));
+    } finally {
+      log.mock.restore();
+    }
+  }
+
+  it('writes one JSON line per event and redacts personal data', () => {
+    const [entry] = capture(() => {
+      createLogger({ requestId: 'req-1' }, settings).info('sent', {
+        email: 'Jane@Example.com',
+        name: 'Jane',
+        ip: '203.0.113.10',
+        message: 'line one\nline two',
+      });
+    });
+
+    assert.equal(entry.event, 'sent');
+    assert.equal(entry.requestId, 'req-1');
+    assert.match(entry.email, /^sha256:[0-9a-f]{16}$/);
+    assert.ok(!('name' in entry));
+    assert.equal(entry.ip, '203.0.113.0');
+    assert.equal(entry.message, 'line one\nline two');
+  });
+
+  it('keeps injected line breaks inside a single log line', () => {
+    const log = mock.method(console, 'log', () => {});
+    try {
+      createLogger({}, settings).info('validation_failed', { field: 'x\n{"level":"error","event":"forged"}' });
+      assert.equal(log.mock.callCount(), 1);
+      assert.ok(!log.mock.calls[0].arguments[0].includes('\n'));
+    } finally {
+      log.mock.restore();
+    }
+  });
+
+  it('keeps Unicode line separators from splitting a log line', () => {
+    const log = mock.method(console, 'log', () => {});
+    try {
+      createLogger({}, settings).info('validation_failed', { field: 'x\u2028{"level":"error","event":"forged"}' });
+      assert.ok(!/[\u2028\u2029]/.test(log.mock.calls[0].arguments[0]));
+    } finally {
+      log.mock.restore();
+    }
+  });
+
+  it('skips events below the configured level', () => {
+    assert.deepEqual(capture(() => createLogger({}, settings).debug('noisy')), []);
+  });
+});
@@ -0,0 +1,23 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { businessTypeLabels, validateFormData } from '../shared/form-schema.js';
+
+const submission = {
+  name: 'Ann Example',
+  email: 'ann@example.com',
+  businessType: 'tech',
+  serviceInterest: 'customer',
+  message: 'We need weekday support coverage for our inbox.',
+};
+
+describe('business type', () => {
+  it('is required', () => {
+    assert.equal(validateFormData(submission).errors.businessType, undefined);
+    assert.equal(validateFormData({ ...submission, businessType: '' }).errors.businessType, 'Please select an option');
+    assert.equal(validateFormData({ ...submission, businessType: undefined }).isValid, false);
+  });
+
+  it('still has a label for leads stored without one', () => {
+    assert.equal(businessTypeLabels[''], 'Not specified');
+  });
+});
@@ -0,0 +1,179 @@
+import net from 'node:net';
+
+// Local RESP stand-in for tests: a single-process server that implements the
+// commands our Redis stores use, including MULTI/EXEC queued per connection and
+// applied in one go, like Redis.
+
+function encode(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  if (value === 'OK' || value === 'QUEUED' || value === 'PONG') return `+${value}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+// Returns { args, offset } or null until a full command has arrived
+function parseCommand(buffer, start) {
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+  const count = Number(buffer.toString('utf8', start + 1, lineEnd));
+  const args = [];
+  let offset = lineEnd + 2;
+  for (let i = 0; i < count; i++) {
+    const end = buffer.indexOf('\r\n', offset);
+    if (end === -1) return null;
+    const length = Number(buffer.toString('utf8', offset + 1, end));
+    if (buffer.length < end + 2 + length + 2) return null;
+    args.push(buffer.toString('utf8', end + 2, end + 2 + length));
+    offset = end + 2 + length + 2;
+  }
+  return { args, offset };
+}
+
+function score(value) {
+  if (value === '-inf') return -Infinity;
+  if (value === '+inf') return Infinity;
+  return value.startsWith('(') ? Number(value.slice(1)) + Number.EPSILON : Number(value);
+}
+
+export async function startFakeRedis({ password = '', databases = 16 } = {}) {
+  // key -> { type, value, expiresAt }; value is a Map (zset: member -> score,
+  // hash: field -> value), a Set or a string
+  const data = new Map();
+  const sockets = new Set();
+
+  function lookup(key) {
+    const entry = data.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  function container(key, type, empty) {
+    let entry = lookup(key);
+    if (!entry) {
+      entry = { type, value: empty() };
+      data.set(key, entry);
+    }
+    return entry.value;
+  }
+
+  const zset = key => container(key, 'zset', () => new Map());
+  const hash = key => container(key, 'hash', () => new Map());
+
+  function sorted(key) {
+    return [...(lookup(key)?.value || new Map())].sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : 1));
+  }
+
+  const commands = {
+    PING: () => 'PONG',
+    SELECT: (session, [index]) => (Number(index) < databases ? 'OK' : new Error('ERR DB index is out of range')),
+    PEXPIRE: (session, [key]) => (lookup(key) ? 1 : 0),
+    EXISTS: (session, keys) => keys.filter(key => lookup(key)).length,
+    DEL: (session, keys) => keys.filter(key => lookup(key) && data.delete(key)).length,
+    GET: (session, [key]) => lookup(key)?.value ?? null,
+    // SET key value [PX ms] [NX]
+    SET: (session, [key, value, ...options]) => {
+      const flags = options.map(option => option.toUpperCase());
+      if (flags.includes('NX') && lookup(key)) return null;
+      const px = flags.indexOf('PX');
+      data.set(key, { type: 'string', value, expiresAt: px === -1 ? null : Date.now() + Number(options[px + 1]) });
+      return 'OK';
+    },
+    HSET: (session, [key, ...pairs]) => {
+      const fields = hash(key);
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        if (!fields.has(pairs[i])) added += 1;
+        fields.set(pairs[i], pairs[i + 1]);
+      }
+      return added;
+    },
+    HDEL: (session, [key, ...fields]) => fields.filter(field => lookup(key)?.value.delete(field)).length,
+    HGETALL: (session, [key]) => [...(lookup(key)?.value || new Map())].flat(),
+    SADD: (session, [key, ...members]) => {
+      const set = container(key, 'set', () => new Set());
+      const added = members.filter(member => !set.has(member));
+      added.forEach(member => set.add(member));
+      return added.length;
+    },
+    SREM: (session, [key, ...members]) => members.filter(member => lookup(key)?.value.delete(member)).length,
+    SMEMBERS: (session, [key]) => [...(lookup(key)?.value || [])],
+    ZADD: (session, [key, value, member]) => {
+      const set = zset(key);
+      const added = set.has(member) ? 0 : 1;
+      set.set(member, Number(value));
+      return added;
+    },
+    ZREM: (session, [key, ...members]) => members.filter(member => lookup(key)?.value.delete(member)).length,
+    ZCARD: (session, [key]) => lookup(key)?.value.size || 0,
+    ZREMRANGEBYSCORE: (session, [key, min, max]) => {
+      const removed = sorted(key).filter(([, value]) => value >= score(min) && value <= score(max));
+      removed.forEach(([member]) => data.get(key).value.delete(member));
+      return removed.length;
+    },
+    ZRANGE: (session, [key, start, stop, withScores]) => {
+      const items = sorted(key);
+      const end = Number(stop) < 0 ? items.length + Number(stop) : Number(stop);
+      const slice = items.slice(Number(start), end + 1);
+      return withScores ? slice.flatMap(([member, value]) => [member, String(value)]) : slice.map(([member]) => member);
+    },
+  };
+
+  function run(session, args) {
+    const name = args[0].toUpperCase();
+    if (name === 'AUTH') {
+      const given = args[args.length - 1];
+      session.authenticated = !password || given === password;
+      return session.authenticated ? 'OK' : new Error('WRONGPASS invalid username-password pair');
+    }
+    if (password && !session.authenticated) return new Error('NOAUTH Authentication required.');
+    if (name === 'MULTI') {
+      session.queue = [];
+      return 'OK';
+    }
+    if (name === 'EXEC') {
+      const queued = session.queue || [];
+      session.queue = null;
+      return queued.map(command => run(session, command));
+    }
+    if (session.queue) {
+      session.queue.push(args);
+      return 'QUEUED';
+    }
+    const handler = commands[name];
+    return handler ? handler(session, args.slice(1)) : new Error(`ERR unknown command '${args[0]}'`);
+  }
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    const session = { authenticated: false, queue: null };
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseCommand(buffer, 0))) {
+        buffer = buffer.subarray(parsed.offset);
+        socket.write(encode(run(session, parsed.args)));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `redis://${password ? `:${password}@` : ''}127.0.0.1:${port}`,
+    port,
+    data,
+    close() {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
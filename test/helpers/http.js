@@ -0,0 +1,41 @@
+// Minimal stand-ins for the Vercel (req, res) objects the API handlers get
+export function mockRequest({ method = 'POST', body = {}, headers = {}, query = {} } = {}) {
+  return {
+    method,
+    body,
+    query,
+    headers: { host: 'localhost:3000', origin: 'http://localhost:3000', 'x-forwarded-for': '203.0.113.10', ...headers },
+    socket: { remoteAddress: '127.0.0.1' },
+  };
+}
+
+export function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    end(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sani-leads-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_LEVEL: 'silent',
+  LEADS_API_TOKEN: 'ops-token',
+});
+
+const { default: handler } = await import('../api/leads.js');
+
+async function list(query) {
+  const res = mockResponse();
+  await handler(mockRequest({ method: 'GET', query, headers: { authorization: 'Bearer ops-token' } }), res);
+  return res;
+}
+
+describe('GET /api/leads', () => {
+  after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+  it('lists leads for a valid query', async () => {
+    const res = await list({ q: 'example', page: '1' });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.leads, []);
+  });
+
+  for (const name of ['q', 'serviceInterest', 'businessType', 'from', 'page', 'format']) {
+    it(`rejects a repeated ${name} parameter with 400`, async () => {
+      const res = await list({ [name]: ['a', 'b'] });
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.error, `${name} must be given once`);
+    });
+  }
+});
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sani-pipeline-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LEAD_STORE: 'file',
+  LOG_LEVEL: 'silent',
+  STAFF_TOKENS: 'Ann:ann-token,Ben:ben-token',
+});
+
+const { default: handler } = await import('../api/pipeline.js');
+const { getLeadStore } = await import('../lib/leads/index.js');
+
+async function patch(id, token, body) {
+  const res = mockResponse();
+  await handler(mockRequest({
+    method: 'PATCH',
+    query: { id },
+    body,
+    headers: { authorization: `Bearer ${token}` },
+  }), res);
+  return res;
+}
+
+describe('PATCH /api/pipeline', () => {
+  after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+  it('keeps both changes when two people update a lead at once', async () => {
+    const lead = await getLeadStore().create({
+      id: 'SS-TEST-0001',
+      createdAt: new Date().toISOString(),
+      name: 'Ann Example',
+      email: 'ann@example.com',
+    });
+
+    const responses = await Promise.all([
+      patch(lead.id, 'ann-token', { note: 'Called, left a voicemail.' }),
+      patch(lead.id, 'ben-token', { status: 'contacted', note: 'Sent the intro deck.' }),
+    ]);
+    assert.deepEqual(responses.map(res => res.statusCode), [200, 200]);
+
+    const { pipeline } = await getLeadStore().get(lead.id);
+    assert.deepEqual(pipeline.notes.map(note => note.text).sort(), ['Called, left a voicemail.', 'Sent the intro deck.']);
+    assert.equal(pipeline.status, 'contacted');
+  });
+
+  it('returns 404 for an unknown lead', async () => {
+    const res = await patch('SS-MISSING', 'ann-token', { note: 'Hello' });
+    assert.equal(res.statusCode, 404);
+  });
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { startFakeRedis } from './helpers/fake-redis.js';
+
+// Config is read on import: a Vercel deployment with REDIS_URL set
+const redis = await startFakeRedis();
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sani-queue-stores-'));
+Object.assign(process.env, {
+  VERCEL: '1',
+  REDIS_URL: redis.url,
+  DATA_DIR: dataDir,
+  MAIL_TRANSPORTS: 'dev',
+  LOG_LEVEL: 'silent',
+});
+delete process.env.MAIL_QUEUE_STORE;
+delete process.env.WEBHOOK_STORE;
+
+const { createMailQueueStore, queueFailedMail, retryQueuedMail } = await import('../lib/mail-queue/index.js');
+const { createDeliveryStore } = await import('../lib/webhooks/index.js');
+
+after(async () => {
+  await redis.close();
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const stores = {
+  'mail queue': createMailQueueStore,
+  'webhook delivery': createDeliveryStore,
+};
+
+for (const [name, createStore] of Object.entries(stores)) {
+  describe(`${name} store`, () => {
+    it('stores, lists and merges updates into records in Redis', async () => {
+      const store = createStore({ store: 'redis', redisUrl: redis.url });
+      const record = { id: `${name}-1`, status: 'retrying', attempts: [{ error: 'timeout' }], nextAttemptAt: null, sentAt: null };
+      await store.create(record);
+
+      // Another instance's store sees the same record
+      const other = createStore({ store: 'redis', redisUrl: redis.url });
+      assert.deepEqual(await other.get(record.id), record);
+
+      await Promise.all([
+        store.update(record.id, { status: 'sent' }),
+        other.update(record.id, { sentAt: '2026-01-01T00:00:00.000Z' }),
+      ]);
+      assert.deepEqual(await store.get(record.id), { ...record, status: 'sent', sentAt: '2026-01-01T00:00:00.000Z' });
+      assert.ok((await other.list()).some(listed => listed.id === record.id));
+      assert.equal(await store.update('missing', { status: 'sent' }), null);
+    });
+
+    it('lets only one instance claim a due retry', async () => {
+      const now = Date.now();
+      const first = createStore({ store: 'redis', redisUrl: redis.url });
+      const second = createStore({ store: 'redis', redisUrl: redis.url });
+      await first.create({ id: `${name}-due`, status: 'retrying', nextAttemptAt: new Date(now - 1000).toISOString() });
+      await first.create({ id: `${name}-later`, status: 'retrying', nextAttemptAt: new Date(now + 60000).toISOString() });
+
+      const claims = await Promise.all([first.claimDue(now, 60000), second.claimDue(now, 60000)]);
+      assert.deepEqual(claims.flat().map(record => record.id), [`${name}-due`]);
+      assert.equal((await first.get(`${name}-due`)).nextAttemptAt, new Date(now + 60000).toISOString());
+    });
+  });
+}
+
+describe('mail queue on Redis', () => {
+  it('queues a failed email and sends it on retry, attachments included', async () => {
+    redis.data.clear(); // without the records left by the store tests
+    const message = {
+      to: ['ops@example.com'],
+      subject: 'New lead',
+      text: 'Hello',
+      attachments: [{ filename: 'invite.ics', content: Buffer.from('BEGIN:VCALENDAR'), contentType: 'text/calendar' }],
+    };
+    const entry = await queueFailedMail({ kind: 'notification', message, error: new Error('Connection reset') });
+    assert.equal(entry.status, 'retrying');
+
+    const summary = await retryQueuedMail({ now: Date.now() + 24 * 60 * 60 * 1000 });
+    assert.deepEqual(summary, { attempted: 1, sent: 1, retrying: 0, failed: 0 });
+
+    const stored = await createMailQueueStore().get(entry.id);
+    assert.equal(stored.status, 'sent');
+    assert.equal(stored.message, null);
+  });
+});
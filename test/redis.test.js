@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { createRedisStore } from '../lib/rate-limit/redis-store.js';
+import { createRedisStore as createLeadRedisStore } from '../lib/leads/redis-store.js';
+import { createRedisClient } from '../lib/redis/client.js';
+import { startFakeRedis } from './helpers/fake-redis.js';
+
+describe('redis rate limit store', () => {
+  let redis;
+  before(async () => {
+    redis = await startFakeRedis();
+  });
+  after(() => redis.close());
+
+  it('allows up to the limit within the window, then rejects', async () => {
+    const store = createRedisStore(redis.url);
+    const options = { limit: 3, windowMs: 60_000, now: 1_000_000 };
+
+    const results = [];
+    for (let i = 0; i < 4; i++) results.push(await store.hit('sequential', options));
+
+    assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(result => result.count), [1, 2, 3, 3]);
+    assert.equal(results[3].resetAt, 1_000_000 + 60_000);
+    // The rejected request doesn't take up a slot
+    assert.equal(redis.data.get('ratelimit:sequential').value.size, 3);
+  });
+
+  it('lets requests through again once the window has moved on', async () => {
+    const store = createRedisStore(redis.url);
+    await store.hit('window', { limit: 1, windowMs: 1000, now: 5000 });
+
+    assert.equal((await store.hit('window', { limit: 1, windowMs: 1000, now: 5500 })).allowed, false);
+    assert.equal((await store.hit('window', { limit: 1, windowMs: 1000, now: 6001 })).allowed, true);
+  });
+
+  it('never admits more than the limit across instances hitting at once', async () => {
+    // Separate stores means separate connections, like separate serverless instances
+    const stores = Array.from({ length: 5 }, () => createRedisStore(redis.url));
+    const options = { limit: 4, windowMs: 60_000, now: 2_000_000 };
+
+    const results = await Promise.all(
+      Array.from({ length: 20 }, (_, i) => stores[i % stores.length].hit('concurrent', options))
+    );
+
+    assert.equal(results.filter(result => result.allowed).length, 4);
+    assert.equal(redis.data.get('ratelimit:concurrent').value.size, 4);
+  });
+});
+
+describe('redis client', () => {
+  let redis;
+  before(async () => {
+    redis = await startFakeRedis({ password: 'secret', databases: 2 });
+  });
+  after(() => redis.close());
+
+  function urlWith({ password = 'secret', db = '' } = {}) {
+    return `redis://:${password}@127.0.0.1:${redis.port}${db ? `/${db}` : ''}`;
+  }
+
+  it('authenticates and selects the database before running commands', async () => {
+    const client = createRedisClient(urlWith({ db: '1' }));
+    assert.equal(await client.command(['PING']), 'PONG');
+    client.quit();
+  });
+
+  it('reports a wrong password instead of a later NOAUTH', async () => {
+    const client = createRedisClient(urlWith({ password: 'wrong' }));
+    await assert.rejects(client.command(['PING']), /WRONGPASS/);
+    client.quit();
+  });
+
+  it('reports a bad database index', async () => {
+    const client = createRedisClient(urlWith({ db: '5' }));
+    await assert.rejects(client.command(['PING']), /DB index is out of range/);
+    client.quit();
+  });
+});
+
+describe('redis lead store', () => {
+  let redis;
+  before(async () => {
+    redis = await startFakeRedis();
+  });
+  after(() => redis.close());
+
+  it('runs updater functions one at a time across instances', async () => {
+    const stores = Array.from({ length: 4 }, () => createLeadRedisStore(redis.url));
+    await stores[0].create({ id: 'SS-1', createdAt: '2026-01-01T00:00:00.000Z', notes: [] });
+
+    await Promise.all(stores.map((store, index) =>
+      store.update('SS-1', lead => ({ notes: [...lead.notes, `note ${index}`] }))
+    ));
+    assert.deepEqual((await stores[0].get('SS-1')).notes.sort(), ['note 0', 'note 1', 'note 2', 'note 3']);
+    assert.equal(await stores[0].update('SS-missing', () => ({ notes: [] })), null);
+  });
+
+  it('finds the newest lead for an idempotency key', async () => {
+    const store = createLeadRedisStore(redis.url);
+    await store.create({ id: 'SS-new', createdAt: '2026-01-03T00:00:00.000Z', idempotencyKey: 'key-0001' });
+    await store.create({ id: 'SS-old', createdAt: '2026-01-02T00:00:00.000Z', idempotencyKey: 'key-0001' });
+
+    assert.equal((await store.findByIdempotencyKey('key-0001')).id, 'SS-new');
+    assert.equal(await store.findByIdempotencyKey('key-0002'), null);
+  });
+});
@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { createResendTransport } from '../lib/mail/resend-transport.js';
+
+const realFetch = globalThis.fetch;
+
+describe('Resend transport', () => {
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it('sends each attachment with its content type', async () => {
+    let sent = null;
+    globalThis.fetch = async (url, options) => {
+      sent = JSON.parse(options.body);
+      return new Response(JSON.stringify({ id: 'email_1' }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+
+    const result = await createResendTransport({ apiKey: 're_test' }).send({
+      from: 'ops@example.com',
+      to: ['ann@example.com'],
+      subject: 'Your consultation',
+      text: 'See you then.',
+      attachments: [{ filename: 'consultation.ics', content: Buffer.from('BEGIN:VCALENDAR'), contentType: 'text/calendar; charset=utf-8; method=REQUEST' }],
+    });
+
+    assert.equal(result.id, 'email_1');
+    assert.equal(sent.attachments[0].filename, 'consultation.ics');
+    assert.equal(sent.attachments[0].content_type, 'text/calendar; charset=utf-8; method=REQUEST');
+  });
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sani-retry-queue-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_LEVEL: 'silent',
+  LEADS_API_TOKEN: 'ops-token',
+  JOBS_TOKEN: 'job-token',
+  MAIL_QUEUE_STORE: 'memory',
+  WEBHOOK_STORE: 'memory',
+});
+
+const { createRetryQueueStore } = await import('../lib/retry-queue/index.js');
+const { getMailQueueStore } = await import('../lib/mail-queue/index.js');
+const { getDeliveryStore } = await import('../lib/webhooks/index.js');
+const { default: mailQueueHandler } = await import('../api/mail-queue.js');
+const { default: webhooksHandler } = await import('../api/webhooks.js');
+const { default: retryWebhooksHandler } = await import('../api/retry-webhooks.js');
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+const queue = { env: 'TEST_QUEUE_STORE', collection: 'entries', redisPrefix: 'test' };
+
+for (const store of ['memory', 'file']) {
+  describe(`${store} retry queue store`, () => {
+    it('claims due retries once and pushes them a lease into the future', async () => {
+      const queueStore = createRetryQueueStore({ store, filePath: path.join(dataDir, `${store}.json`) }, queue);
+      const now = Date.now();
+      await queueStore.create({ id: 'due', status: 'retrying', nextAttemptAt: new Date(now - 1000).toISOString() });
+      await queueStore.create({ id: 'later', status: 'retrying', nextAttemptAt: new Date(now + 5000).toISOString() });
+      await queueStore.create({ id: 'done', status: 'sent', nextAttemptAt: null });
+
+      assert.deepEqual((await queueStore.claimDue(now, 60000)).map(entry => entry.id), ['due']);
+      assert.deepEqual(await queueStore.claimDue(now, 60000), []);
+      assert.equal((await queueStore.get('due')).nextAttemptAt, new Date(now + 60000).toISOString());
+    });
+  });
+}
+
+it('rejects an unknown store type', () => {
+  assert.throws(() => createRetryQueueStore({ store: 'sql' }, queue), /TEST_QUEUE_STORE must be memory, file or redis/);
+});
+
+describe('queue API endpoints', () => {
+  function get(handler, { query = {}, token = 'ops-token' } = {}) {
+    const res = mockResponse();
+    return handler(mockRequest({ method: 'GET', query, headers: { authorization: `Bearer ${token}` } }), res).then(() => res);
+  }
+
+  it('lists mail queue entries without their message, with counts', async () => {
+    await getMailQueueStore().create({ id: 'mq_1', status: 'failed', leadId: 'SS-1', createdAt: '2026-01-01T00:00:00.000Z', message: { text: 'secret' } });
+
+    const res = await get(mailQueueHandler, { query: { status: 'failed' } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.counts, { retrying: 0, sent: 0, failed: 1 });
+    assert.deepEqual(res.body.entries.map(entry => [entry.id, 'message' in entry]), [['mq_1', false]]);
+  });
+
+  it('lists webhook deliveries without their payload', async () => {
+    await getDeliveryStore().create({ id: 'whd_1', status: 'delivered', leadId: 'SS-1', createdAt: '2026-01-01T00:00:00.000Z', payload: { lead: {} } });
+
+    const res = await get(webhooksHandler, { query: { leadId: 'SS-1' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.counts.delivered, 1);
+    assert.deepEqual(res.body.deliveries.map(delivery => [delivery.id, 'payload' in delivery]), [['whd_1', false]]);
+  });
+
+  it('rejects an unknown status', async () => {
+    const res = await get(webhooksHandler, { query: { status: 'sent' } });
+    assert.equal(res.statusCode, 400);
+  });
+
+  it('runs the retry job only with the job token', async () => {
+    assert.equal((await get(retryWebhooksHandler)).statusCode, 401);
+
+    const res = await get(retryWebhooksHandler, { token: 'job-token' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.attempted, 0);
+  });
+});
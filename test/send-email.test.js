@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+// A CRM endpoint that records the leads webhooks send it
+const crmLeads = [];
+const crm = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    crmLeads.push(JSON.parse(body).lead.reference);
+    res.end('ok');
+  });
+});
+await new Promise(resolve => crm.listen(0, '127.0.0.1', resolve));
+
+// Config is read on import, so the environment is set up first
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sani-send-email-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  MAIL_TRANSPORTS: 'dev',
+  LOG_LEVEL: 'silent',
+  SEND_CONFIRMATION_EMAIL: 'false',
+  MAIL_QUEUE_STORE: 'unavailable', // queueing fails too, so the visitor is asked to retry
+  WEBHOOK_URLS: `http://127.0.0.1:${crm.address().port}/leads`,
+  WEBHOOK_SECRET: 'test-secret',
+  WEBHOOK_STORE: 'memory',
+});
+
+const { default: handler } = await import('../api/send-email.js');
+const { getBookingStore, listOpenSlots } = await import('../lib/booking/index.js');
+const outbox = path.join(dataDir, 'outbox');
+
+function submission(slot) {
+  return {
+    name: 'Ann Example',
+    email: 'ann@example.com',
+    businessType: 'tech',
+    serviceInterest: 'customer',
+    message: 'We need weekday support coverage for our inbox.',
+    details: { ticketVolume: 40, channels: ['email'] },
+    consultationSlot: slot.start,
+  };
+}
+
+async function send(body, headers = {}) {
+  const res = mockResponse();
+  await handler(mockRequest({ body, headers }), res);
+  return res;
+}
+
+describe('POST /api/send-email when the notification cannot be sent', () => {
+  before(async () => {
+    // A file where the dev transport wants its outbox directory makes every send fail
+    await fs.writeFile(outbox, 'blocked');
+  });
+  after(async () => {
+    await new Promise(resolve => crm.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('frees the consultation slot so the retry can book it', async () => {
+    const [slot] = await listOpenSlots();
+    const headers = { 'idempotency-key': 'retry-test-key-0001' };
+
+    const failed = await send(submission(slot), headers);
+    assert.equal(failed.statusCode, 503);
+    assert.equal((await getBookingStore().list()).length, 0);
+    assert.deepEqual(crmLeads, []);
+
+    await fs.rm(outbox);
+    const retried = await send(submission(slot), headers);
+    assert.equal(retried.statusCode, 200);
+    assert.equal(retried.headers['idempotent-replayed'], undefined);
+    assert.notEqual(retried.body.leadId, failed.body.leadId);
+
+    const bookings = await getBookingStore().list();
+    assert.deepEqual(bookings.map(booking => [booking.start, booking.leadId]), [[slot.start, retried.body.leadId]]);
+    assert.deepEqual(crmLeads, [retried.body.leadId]);
+  });
+});
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+process.env.LOG_LEVEL = 'silent';
+const { config } = await import('../lib/config.js');
+const { createFormToken, scoreSubmission } = await import('../lib/spam/index.js');
+
+const settings = { ...config.spam, tokenSecret: 'test-secret' };
+
+// One link over the limit (score 2): not spam on its own
+const data = {
+  name: 'Ann Example',
+  email: 'ann@example.com',
+  message: 'Our sites: https://a.example https://b.example https://c.example',
+};
+
+function formTokenScore(result) {
+  return result.checks.find(check => check.name === 'formToken').score;
+}
+
+describe('form token spam check', () => {
+  it('does not flag a lead sent without a token, e.g. from the offline queue', async () => {
+    const result = await scoreSubmission({ data, formToken: undefined }, { settings });
+    assert.equal(formTokenScore(result), 1);
+    assert.equal(result.flagged, false);
+  });
+
+  it('weighs a forged token more than a missing one', async () => {
+    const forged = await scoreSubmission({ data, formToken: `${Date.now()}.nonce.forged` }, { settings });
+    const missing = await scoreSubmission({ data, formToken: undefined }, { settings });
+    assert.ok(formTokenScore(forged) > formTokenScore(missing));
+    assert.equal(forged.flagged, true);
+  });
+
+  it('scores a valid token 0', async () => {
+    const token = createFormToken(settings);
+    const result = await scoreSubmission({ data, formToken: token, now: Date.now() + 10000 }, { settings });
+    assert.equal(formTokenScore(result), 0);
+  });
+});